@@ -5,6 +5,9 @@
 const getOptionsFromCli = require('./lib/utils/get-options-from-cli');
 const publisher         = require('./lib/publisher');
 
+const { formatBuildsInfo } = require('./lib/commands/list');
+const { formatVersions }   = require('./lib/commands/restore');
+
 const cliOptions = getOptionsFromCli(process.argv.slice(2));
 
 module.exports = publisher;
@@ -12,6 +15,11 @@ module.exports = publisher;
 if (require.main === module) {
   publisher.run(cliOptions)
     .then((result) => {
+      if (cliOptions['dry-run'] && cliOptions.command !== 'list') {
+        console.log('Dry run is finished, nothing has been changed');
+        return;
+      }
+
       switch (cliOptions.command) {
         case 'publish': {
           console.log('All releases have been successfully published');
@@ -23,13 +31,51 @@ if (require.main === module) {
         }
         case 'list': {
           console.log('Builds on the hosting:');
-          console.log(result.join(' '));
+          console.log(
+            cliOptions.long ? formatBuildsInfo(result) : result.join(' ')
+          );
           break;
         }
         case 'remove': {
           console.log('All specified releases have been successfully removed');
           break;
         }
+        case 'promote': {
+          console.log(
+            `All specified builds have been successfully promoted to ` +
+            cliOptions.to
+          );
+          break;
+        }
+        case 'prune': {
+          console.log(`${result.length} build(s) have been removed`);
+          break;
+        }
+        case 'verify': {
+          console.log('All files referenced by updates.json are available');
+          break;
+        }
+        case 'rollback': {
+          console.log('All specified builds have been successfully rolled back');
+          break;
+        }
+        case 'restore': {
+          if (cliOptions.versionId) {
+            console.log(
+              `updates.json has been restored to version ${cliOptions.versionId}`
+            );
+          } else {
+            console.log('Versions of updates.json:');
+            console.log(formatVersions(result));
+          }
+          break;
+        }
+        case 'rollout': {
+          console.log(
+            `All specified builds are rolled out to ${cliOptions.rollout}%`
+          );
+          break;
+        }
       }
     })
     .catch(e => {
@@ -1,14 +1,37 @@
 'use strict';
 
-const publish = require('./publish');
-const replace = require('./replace');
-const remove  = require('./remove');
-const list    = require('./list');
+const publish  = require('./publish');
+const replace  = require('./replace');
+const remove   = require('./remove');
+const list     = require('./list');
+const rollback = require('./rollback');
+const rollout  = require('./rollout');
+const promote  = require('./promote');
+const prune    = require('./prune');
+const verify   = require('./verify');
+const restore  = require('./restore');
 
 module.exports = {
   publish,
   replace,
   remove,
   list,
-  NAMES: [publish.NAME, replace.NAME, remove.NAME, list.NAME]
+  rollback,
+  rollout,
+  promote,
+  prune,
+  verify,
+  restore,
+  NAMES: [
+    publish.NAME,
+    replace.NAME,
+    remove.NAME,
+    list.NAME,
+    rollback.NAME,
+    rollout.NAME,
+    promote.NAME,
+    prune.NAME,
+    verify.NAME,
+    restore.NAME
+  ]
 };
\ No newline at end of file
@@ -1,16 +1,70 @@
 'use strict';
 
+const { formatSize } = require('../utils/progress');
+
 module.exports = list;
 module.exports.NAME = 'list';
+module.exports.formatBuildsInfo = formatBuildsInfo;
 
+/**
+ * Return ids of builds on a hosting or, with the long option, objects
+ * returned by transport.fetchBuildsInfo
+ * @param {object} options
+ * @return {Promise<Array<string|object>>}
+ */
 function list(options) {
   const transport = options.transport.instance;
 
   let result;
-  return transport.fetchBuildsList()
+  const promise = options.long
+    ? transport.fetchBuildsInfo()
+    : transport.fetchBuildsList();
+
+  return promise
     .then((list) => {
       result = list;
       return transport.close();
     })
     .then(() => result);
-}
\ No newline at end of file
+}
+
+/**
+ * Make a table with a build id, files count, size and last modified date.
+ * Values which aren't provided by a transport are shown as -
+ * @param {Array<object>} builds
+ * @return {string}
+ */
+function formatBuildsInfo(builds) {
+  const rows = builds
+    .slice()
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .map((build) => {
+      return [
+        build.id,
+        build.count === undefined ? '-' : `${build.count} files`,
+        build.size === undefined ? '-' : formatSize(build.size),
+        build.date ? new Date(build.date).toISOString() : '-'
+      ];
+    });
+
+  const widths = [0, 1, 2].map((column) => {
+    return Math.max(0, ...rows.map(row => row[column].length));
+  });
+
+  return rows
+    .map((row) => {
+      return row
+        .map((value, column) => {
+          return column < 3 ? padEnd(value, widths[column]) : value;
+        })
+        .join('  ');
+    })
+    .join('\n');
+}
+
+function padEnd(text, length) {
+  while (text.length < length) {
+    text += ' ';
+  }
+  return text;
+}
@@ -0,0 +1,24 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const { formatBuildsInfo } = require('./list');
+
+describe('List command', () => {
+  it('should format builds info as a table', () => {
+    const output = formatBuildsInfo([
+      {
+        id: 'win32-x64-prod-v1.0.0',
+        count: 3,
+        size: 1536,
+        date: new Date('2018-01-02T00:00:00Z')
+      },
+      { id: 'linux-x64-prod-v1.0.0' }
+    ]);
+
+    expect(output.split('\n')).to.deep.equal([
+      'linux-x64-prod-v1.0.0  -        -       -',
+      'win32-x64-prod-v1.0.0  3 files  1.5 KB  2018-01-02T00:00:00.000Z'
+    ]);
+  });
+});
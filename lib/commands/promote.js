@@ -0,0 +1,74 @@
+'use strict';
+
+const publish = require('./publish');
+
+module.exports = promote;
+module.exports.NAME = 'promote';
+
+
+/**
+ * Make the build available in another channel (options.to) without
+ * re-uploading. If the transport supports it, files are copied on a
+ * hosting, otherwise the new updates.json entry references files of the
+ * source build. latest.yml and appcast.xml of the target channel are
+ * regenerated if they are enabled.
+ * @param {object} build Source build
+ * @param {object} options
+ * @return {Promise<object>} The target build
+ */
+function promote(build, options) {
+  const transport = options.transport.instance;
+  const target = Object.assign({}, build, { channel: options.to });
+  const sourceId = transport.getBuildId(build);
+  let copied = false;
+  let sourceEntry;
+
+  if (!options.to) {
+    return Promise.reject(new Error(
+      'You should specify a target channel using --to option'
+    ));
+  }
+
+  if (options.to === build.channel) {
+    return Promise.reject(new Error(
+      `Build ${sourceId} is already in the ${options.to} channel`
+    ));
+  }
+
+  return Promise.all([transport.fetchUpdatesJson(), transport.fetchBuildsList()])
+    .then(([json, buildIds]) => {
+      sourceEntry = (json || {})[transport.getBuildId(build, false)];
+
+      if (buildIds.indexOf(sourceId) === -1) {
+        throw new Error(`Build ${sourceId} is not found on the hosting`);
+      }
+
+      if (!transport.canCopyBuild()) {
+        return;
+      }
+
+      return transport.copyBuild(build, target)
+        .then(() => {
+          copied = true;
+        });
+    })
+    .then(() => {
+      return transport.fetchBuildFiles(build);
+    })
+    .then((fileNames) => {
+      const assetsBuild = copied ? target : build;
+      const assets = publish.getRemoteAssets(
+        assetsBuild,
+        fileNames,
+        transport,
+        options
+      );
+      const data = publish.makeUpdatesJsonEntry(target, assets, options);
+      publish.copyChecksums(data, sourceEntry);
+      return transport.updateUpdatesJson(target, data);
+    })
+    .then(() => {
+      return publish.publishRootFiles(target, transport, options);
+    })
+    .then(() => target);
+}
@@ -0,0 +1,124 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const promote       = require('./promote');
+const TestTransport = require('../../spec/test-transport');
+
+describe('Promote command', () => {
+  it('should reference source files if a transport cannot copy', () => {
+    const options = getOptions();
+    const transport = options.transport.instance;
+
+    return promote(getBuild(), options)
+      .then((target) => {
+        expect(target.channel).to.equal('prod');
+        expect(transport.uploadFiles).to.be.empty;
+        expect(transport.updatePushes[0]['win32-x64-prod']).to.deep.equal({
+          update: 'http://example.com/win32-x64-beta-v0.0.2',
+          'update-local': 'win32-x64-beta-v0.0.2',
+          install: 'http://example.com/win32-x64-beta-v0.0.2/' +
+            'Example-Setup-0.0.2.exe',
+          'install-local': 'win32-x64-beta-v0.0.2/Example-Setup-0.0.2.exe',
+          version: '0.0.2'
+        });
+      });
+  });
+
+  it('should copy files if a transport supports it', () => {
+    const options = getOptions();
+    const transport = options.transport.instance;
+    const copies = [];
+    transport.canCopyBuild = () => true;
+    transport.copyBuild = (from, to) => {
+      copies.push([transport.getBuildId(from), transport.getBuildId(to)]);
+      return Promise.resolve();
+    };
+
+    return promote(getBuild(), options)
+      .then(() => {
+        expect(copies).to.deep.equal([
+          ['win32-x64-beta-v0.0.2', 'win32-x64-prod-v0.0.2']
+        ]);
+        expect(transport.updatePushes[0]['win32-x64-prod'].install).to.equal(
+          'http://example.com/win32-x64-prod-v0.0.2/Example-Setup-0.0.2.exe'
+        );
+      });
+  });
+
+  it('should keep checksums of the source build', () => {
+    const options = getOptions();
+    const transport = options.transport.instance;
+    transport.fetchUpdatesJson = () => Promise.resolve({
+      'win32-x64-beta': {
+        version: '0.0.2',
+        'install-sha256': 'sha256:setup',
+        'install-sha512': 'sha512:setup',
+        'install-size': 100
+      }
+    });
+
+    return promote(getBuild(), options)
+      .then(() => {
+        const entry = transport.updatePushes[0]['win32-x64-prod'];
+        expect(entry['install-sha256']).to.equal('sha256:setup');
+        expect(entry['install-sha512']).to.equal('sha512:setup');
+        expect(entry['install-size']).to.equal(100);
+      });
+  });
+
+  it('should regenerate latest.yml of the target channel', () => {
+    const options = getOptions();
+    options.electronUpdater = true;
+    const transport = options.transport.instance;
+    let json = {
+      'win32-x64-beta': {
+        'install-local': 'win32-x64-beta-v0.0.2/Example-Setup-0.0.2.exe',
+        'install-sha512': 'abcd',
+        version: '0.0.2'
+      }
+    };
+    transport.fetchUpdatesJson = () => Promise.resolve(json);
+    transport.pushUpdatesJson = (data) => {
+      json = data;
+      return Promise.resolve('http://example.com/updates.json');
+    };
+
+    return promote(getBuild(), options)
+      .then(() => {
+        expect(transport.rootFiles['latest.yml'])
+          .to.contain('version: 0.0.2');
+      });
+  });
+
+  it('should require a target channel', () => {
+    const options = getOptions();
+    delete options.to;
+
+    return promote(getBuild(), options)
+      .then(() => {
+        throw new Error('Promote should fail');
+      }, (e) => {
+        expect(e.message).to.contain('--to');
+      });
+  });
+});
+
+function getOptions() {
+  const options = {
+    command: 'promote',
+    to: 'prod',
+    transport: { remoteUrl: 'http://example.com' },
+    fields: {},
+    packageJson: { name: 'example', productName: 'Example' },
+    updatesJsonUrl: 'http://example.com/updates.json'
+  };
+  const transport = new TestTransport(options);
+  transport.fetchBuildsList = () => Promise.resolve(['win32-x64-beta-v0.0.2']);
+  options.transport.instance = transport;
+  return options;
+}
+
+function getBuild() {
+  return { platform: 'win32', arch: 'x64', channel: 'beta', version: '0.0.2' };
+}
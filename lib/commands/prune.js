@@ -0,0 +1,142 @@
+'use strict';
+
+const semver = require('semver');
+
+const { parseBuildId, matchBuild } = require('../utils/build-id');
+
+module.exports = prune;
+module.exports.NAME = 'prune';
+module.exports.findBuildsToRemove = findBuildsToRemove;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Remove old builds from a hosting according to retention rules:
+ *  options.keep      - keep the last N versions of each platform-arch-channel
+ *  options.keep-days - keep builds which are newer than N days
+ * A build which is referenced by updates.json is never removed.
+ * @param {object} options
+ * @return {Promise<Array<string>>} Ids of removed builds
+ */
+function prune(options) {
+  const transport = options.transport.instance;
+  const rules = {
+    keep: options.keep,
+    keepDays: options.keepDays !== undefined
+      ? options.keepDays
+      : options['keep-days']
+  };
+
+  if (rules.keep === undefined && rules.keepDays === undefined) {
+    return Promise.reject(new Error(
+      'You should specify a retention rule using --keep or --keep-days option'
+    ));
+  }
+
+  let toRemove;
+  return Promise.all([transport.fetchUpdatesJson(), transport.fetchBuildsInfo()])
+    .then(([json, builds]) => {
+      builds = builds.filter((info) => {
+        return !options.builds.length || options.builds.some((build) => {
+          return matchBuild(parseBuildId(info.id), build);
+        });
+      });
+
+      toRemove = findBuildsToRemove(builds, json || {}, rules);
+
+      if (!toRemove.length) {
+        console.log('There are no builds to remove');
+        return;
+      }
+
+      console.log('The following builds will be removed:');
+      toRemove.forEach(id => console.log('  ' + id));
+
+      return toRemove.reduce((promise, id) => {
+        return promise.then(() => transport.removeBuild(parseBuildId(id)));
+      }, Promise.resolve());
+    })
+    .then(() => toRemove);
+}
+
+/**
+ * @param {Array<{id: string, date: Date}>} builds
+ * @param {object} updatesJson
+ * @param {{keep: number, keepDays: number}} rules
+ * @param {Date} [now]
+ * @return {Array<string>} Ids of builds which should be removed
+ */
+function findBuildsToRemove(builds, updatesJson, rules, now = new Date()) {
+  const groups = {};
+  builds.forEach((info) => {
+    const build = parseBuildId(info.id);
+    if (!build || !semver.valid(build.version)) return;
+
+    const key = [build.platform, build.arch, build.channel].join('-');
+    groups[key] = groups[key] || [];
+    groups[key].push(Object.assign({}, info, build));
+  });
+
+  const referenced = getReferencedBuilds(builds, updatesJson);
+
+  return Object.keys(groups).reduce((result, key) => {
+    const sorted = groups[key].sort((a, b) => {
+      return semver.rcompare(a.version, b.version);
+    });
+
+    sorted.forEach((build, index) => {
+      if (referenced.indexOf(build.id) !== -1) return;
+
+      if (rules.keep !== undefined && index < rules.keep) return;
+
+      if (rules.keepDays !== undefined) {
+        // Never remove a build if we don't know its age
+        if (!build.date) return;
+        if (now - build.date < rules.keepDays * DAY) return;
+      }
+
+      result.push(build.id);
+    });
+
+    return result;
+  }, []);
+}
+
+/**
+ * Return ids of builds which are used by any updates.json entry. An entry
+ * could reference a build from another channel, for example after promote.
+ * The previous version of a partial rollout is used as well
+ */
+function getReferencedBuilds(builds, updatesJson) {
+  const referenced = [];
+
+  const entries = [];
+  Object.keys(updatesJson).forEach((key) => {
+    const entry = updatesJson[key] || {};
+    entries.push({ key, entry });
+    if (entry.previous) {
+      entries.push({ key, entry: entry.previous });
+    }
+  });
+
+  entries.forEach(({ key, entry }) => {
+    if (entry.version) {
+      referenced.push(`${key}-v${entry.version}`);
+    }
+
+    const values = Object.keys(entry)
+      .map(field => entry[field])
+      .filter(value => typeof value === 'string');
+
+    builds.forEach(({ id }) => {
+      const isUsed = values.some((value) => {
+        return value.indexOf(id + '/') !== -1 || value.endsWith(id);
+      });
+      if (isUsed) {
+        referenced.push(id);
+      }
+    });
+  });
+
+  return referenced;
+}
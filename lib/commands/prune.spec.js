@@ -0,0 +1,107 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon      = require('sinon');
+
+const prune         = require('./prune');
+const TestTransport = require('../../spec/test-transport');
+
+describe('Prune command', () => {
+  const now = new Date('2018-01-31T00:00:00Z');
+  const builds = [
+    { id: 'win32-x64-prod-v0.0.1', date: new Date('2018-01-01T00:00:00Z') },
+    { id: 'win32-x64-prod-v0.0.2', date: new Date('2018-01-10T00:00:00Z') },
+    { id: 'win32-x64-prod-v0.0.3', date: new Date('2018-01-20T00:00:00Z') },
+    { id: 'win32-x64-prod-v0.0.10', date: new Date('2018-01-30T00:00:00Z') },
+    { id: 'win32-x64-beta-v0.0.1', date: new Date('2018-01-01T00:00:00Z') }
+  ];
+
+  it('should keep the last N versions', () => {
+    const toRemove = prune.findBuildsToRemove(builds, {}, { keep: 2 }, now);
+    expect(toRemove).to.deep.equal([
+      'win32-x64-prod-v0.0.2',
+      'win32-x64-prod-v0.0.1'
+    ]);
+  });
+
+  it('should keep builds newer than N days', () => {
+    const toRemove = prune.findBuildsToRemove(
+      builds,
+      {},
+      { keepDays: 15 },
+      now
+    );
+    expect(toRemove).to.deep.equal([
+      'win32-x64-prod-v0.0.2',
+      'win32-x64-prod-v0.0.1',
+      'win32-x64-beta-v0.0.1'
+    ]);
+  });
+
+  it('should never remove builds referenced by updates.json', () => {
+    const updatesJson = {
+      'win32-x64-prod': { version: '0.0.1' },
+      'win32-x64-stable': {
+        version: '0.0.1',
+        install: 'http://example.com/win32-x64-beta-v0.0.1/Setup.exe'
+      }
+    };
+    const toRemove = prune.findBuildsToRemove(
+      builds,
+      updatesJson,
+      { keep: 1 },
+      now
+    );
+    expect(toRemove).to.deep.equal([
+      'win32-x64-prod-v0.0.3',
+      'win32-x64-prod-v0.0.2'
+    ]);
+  });
+
+  it('should keep the previous version of a partial rollout', () => {
+    const updatesJson = {
+      'win32-x64-prod': {
+        version: '0.0.10',
+        rollout: 10,
+        previous: { version: '0.0.2' }
+      }
+    };
+    const toRemove = prune.findBuildsToRemove(
+      builds,
+      updatesJson,
+      { keep: 1 },
+      now
+    );
+    expect(toRemove).to.deep.equal([
+      'win32-x64-prod-v0.0.3',
+      'win32-x64-prod-v0.0.1'
+    ]);
+  });
+
+  it('should remove only specified builds through a transport', () => {
+    const options = {
+      command: 'prune',
+      builds: [{ platform: 'linux' }],
+      keep: 0,
+      transport: {},
+      updatesJsonUrl: 'http://example.com/updates.json'
+    };
+    const transport = options.transport.instance = new TestTransport(options);
+    const log = sinon.stub(console, 'log');
+
+    return prune(options)
+      .then((removed) => {
+        log.restore();
+        expect(removed).to.deep.equal(['linux-x64-prod-v0.0.2']);
+        expect(transport.removes).to.deep.equal([{
+          platform: 'linux',
+          arch: 'x64',
+          channel: 'prod',
+          version: '0.0.2'
+        }]);
+      }, (e) => {
+        log.restore();
+        throw e;
+      });
+  });
+});
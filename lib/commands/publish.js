@@ -1,22 +1,59 @@
 'use strict';
 
 const fs   = require('fs');
+const os   = require('os');
 const path = require('path');
-const line = require('single-line-log').stdout;
+
+const ProgressRenderer = require('../utils/progress');
+const Transaction      = require('../utils/transaction');
+
+const { getAppcastName, publishAppcast }  = require('../utils/appcast');
+const { findRemoteAssets }                = require('../utils/add-assets-info');
+const { getLatestYmlName, makeLatestYml } = require('../utils/latest-yml');
+const { addReleaseNotes }                 = require('../utils/release-notes');
+const { mapLimit, getConcurrency }        = require('../utils/concurrency');
 
 module.exports = publish;
 module.exports.NAME = 'publish';
 module.exports.publishAssets = publishAssets;
+module.exports.makeUpdatesJsonEntry = makeUpdatesJsonEntry;
+module.exports.getRemoteAssets = getRemoteAssets;
+module.exports.addAssetsChecksums = addAssetsChecksums;
+module.exports.copyChecksums = copyChecksums;
+module.exports.publishLatestYml = publishLatestYml;
+module.exports.publishRootFiles = publishRootFiles;
+
+const STANDARD_ASSETS = [
+  'update', 'install', 'metaFile', 'release', 'local', 'checksums'
+];
+
+const progress = new ProgressRenderer();
 
 
+/**
+ * Publish the build. If any step fails, all changes made on the hosting
+ * are rolled back
+ * @param {object} build
+ * @param {object} options
+ * @return {Promise}
+ */
 function publish(build, options) {
-  const transport = options.transport.instance;
+  options = addReleaseNotes(build, options);
 
-  transport.on('progress', onProgress);
+  const transaction = new Transaction(build, options.transport.instance);
+  const transport = transaction.trackedTransport;
+
+  // Builds can be published in parallel through the same transport
+  if (transport.listeners('progress').indexOf(onProgress) === -1) {
+    transport.on('progress', onProgress);
+  }
 
   return transport.beforeUpload(build)
     .then(() => {
-      return publishAssets(build, transport);
+      return publishAssets(build, transport, getConcurrency(options));
+    })
+    .then((assets) => {
+      return addAssetsChecksums(build, assets, transport);
     })
     .then((assets) => {
       if (build.platform === 'darwin') {
@@ -26,17 +63,7 @@ function publish(build, options) {
       }
     })
     .then((assets) => {
-      const data = Object.assign({}, options.fields, {
-        update:  assets.update,
-        'update-local':  assets.local.update,
-        install: assets.install,
-        'install-local': assets.local.install,
-        version: build.version
-      });
-      if (build.platform === 'win32') {
-        data.update = assets.metaFile.replace('/RELEASES', '');
-        data['update-local'] = assets.local.metaFile.replace('/RELEASES', '');
-      }
+      const data = makeUpdatesJsonEntry(build, assets, options);
       transport.duplicateUpdatesJson(build, data);
 
       return transport.updateUpdatesJson(build, data);
@@ -45,10 +72,20 @@ function publish(build, options) {
       return transport.compressReleases(build);
     })
     .then((filePath) => {
-      return transport.uploadReleaseArchive(filePath);
+      if (filePath) {
+        return transport.uploadReleaseArchive(filePath);
+      }
+    })
+    .then(() => {
+      return transaction.publishRootFiles((tracked, updatesJson) => {
+        return publishRootFiles(build, tracked, options, updatesJson);
+      });
     })
     .then(() => {
       return transport.afterUpload(build);
+    })
+    .catch((e) => {
+      return transaction.rollback(e);
     });
 }
 
@@ -57,50 +94,191 @@ function publish(build, options) {
  *
  * @param {object} build
  * @param {AbstractTransport} transport
+ * @param {number} [concurrency] How many files are uploaded at the same time
  * @return {Promise.<object>} Assets urls
  */
-function publishAssets(build, transport) {
+function publishAssets(build, transport, concurrency = 1) {
   const assets = build.assets;
-  let promise = Promise.resolve();
+  const names = Object.keys(assets);
   const result = {
     local: {}
   };
   const uploaded = {};
 
-  if (!Object.keys(assets).length) {
+  if (!names.length) {
     const buildId = transport.getBuildId(build);
     throw new Error(
       `There are no assets for build ${buildId}. Check the dist folder.`
     );
   }
 
-  for (let name in assets) {
-    if (!assets.hasOwnProperty(name)) continue;
-
+  return mapLimit(names, concurrency, (name) => {
     const filePath = assets[name];
-    promise = promise
-      .then(() => {
-        if (uploaded[filePath] === undefined) {
-          return transport.uploadFile(filePath, build);
-        } else {
-          return Promise.resolve(uploaded[filePath]);
-        }
-      })
+
+    // The same file can be used by several assets, it's uploaded once even
+    // if these assets are processed at the same time
+    if (uploaded[filePath] === undefined) {
+      uploaded[filePath] = transport.uploadFile(filePath, build)
+        .then(fileUrl => fileUrl || '');
+    }
+
+    return uploaded[filePath]
       .then((fileUrl) => {
         transport.duplicateMetaFiles(filePath, build);
-        return Promise.resolve(fileUrl);
-      })
-      .then((fileUrl) => {
+        return fileUrl;
+      });
+  })
+    .then((urls) => {
+      names.forEach((name, i) => {
+        const fileUrl = urls[i];
         if (fileUrl) {
           result[name] = fileUrl;
           result.local[name] = [transport.getBuildId(build), path.basename(fileUrl)].join('/');
         }
-        uploaded[filePath] = fileUrl || '';
-        line('');
       });
+      return result;
+    });
+}
+
+/**
+ * Add checksums and sizes of uploaded files to assets.checksums
+ *
+ * @param {object} build
+ * @param {object} assets Assets urls, returned by publishAssets
+ * @param {AbstractTransport} transport
+ * @return {Promise.<object>} assets
+ */
+function addAssetsChecksums(build, assets, transport) {
+  assets.checksums = {};
+
+  return Object.keys(build.assets).reduce((promise, name) => {
+    return promise
+      .then(() => transport.getFileChecksums(build.assets[name]))
+      .then((checksums) => {
+        assets.checksums[name] = checksums;
+      });
+  }, Promise.resolve())
+    .then(() => assets);
+}
+
+/**
+ * Copy checksums and sizes to an entry rebuilt from remote files. They are
+ * taken from an updates.json entry (or its previous fallback) of the same
+ * version, since remote files aren't downloaded to calculate them again.
+ * @param {object} data Entry returned by makeUpdatesJsonEntry
+ * @param {object} [entry] Existing updates.json entry
+ * @return {object} data
+ */
+function copyChecksums(data, entry) {
+  const source = [entry, entry && entry.previous]
+    .filter(item => item && item.version === data.version)[0];
+
+  if (!source) {
+    return data;
   }
 
-  return promise.then(() => result);
+  Object.keys(source)
+    .filter(name => /-(sha256|sha512|size)$/.test(name))
+    .forEach((name) => {
+      data[name] = source[name];
+    });
+
+  return data;
+}
+
+/**
+ * Make a build section of updates.json
+ *
+ * @param {object} build
+ * @param {object} assets Assets urls, returned by publishAssets
+ * @param {object} options
+ * @return {object}
+ */
+function makeUpdatesJsonEntry(build, assets, options) {
+  const data = Object.assign({}, options.fields, {
+    update:  assets.update,
+    'update-local':  assets.local.update,
+    install: assets.install,
+    'install-local': assets.local.install,
+    version: build.version
+  });
+  if (options.rollout !== undefined && options.rollout < 100) {
+    data.rollout = options.rollout;
+  }
+  if (options.mandatory !== undefined) {
+    data.mandatory = options.mandatory;
+  }
+  if (options.minimumVersion) {
+    data.minimumVersion = options.minimumVersion;
+  }
+  if (build.platform === 'win32') {
+    data.update = assets.metaFile.replace('/RELEASES', '');
+    data['update-local'] = assets.local.metaFile.replace('/RELEASES', '');
+  }
+
+  // Custom assets defined by options.assets are published as <name> and
+  // <name>-local fields
+  Object.keys(assets)
+    .filter(name => STANDARD_ASSETS.indexOf(name) === -1)
+    .forEach((name) => {
+      data[name] = assets[name];
+      data[`${name}-local`] = assets.local[name];
+    });
+
+  // Checksums of the files themselves, e.g. update-sha512 is a hash of
+  // .nupkg or .zip file even if update url points to RELEASES or release.json
+  const checksums = assets.checksums || {};
+  Object.keys(checksums).forEach((name) => {
+    data[`${name}-sha256`] = checksums[name].sha256;
+    data[`${name}-sha512`] = checksums[name].sha512;
+    data[`${name}-size`] = checksums[name].size;
+  });
+
+  return data;
+}
+
+/**
+ * Make the same result as publishAssets does, but for files which are
+ * already stored on a hosting
+ *
+ * @param {object} build
+ * @param {Array<string>} fileNames Files of the build on a hosting
+ * @param {AbstractTransport} transport
+ * @param {object} options
+ * @return {object} Assets urls
+ */
+function getRemoteAssets(build, fileNames, transport, options) {
+  const buildId = transport.getBuildId(build);
+  const files = findRemoteAssets(build, fileNames, options);
+
+  if (build.platform === 'darwin' && fileNames.indexOf('release.json') !== -1) {
+    files.release = 'release.json';
+  }
+
+  const required = build.platform === 'win32' ? 'metaFile' : 'update';
+  if (!files[required]) {
+    throw new Error(
+      `Could not find update files of ${buildId} on the hosting. ` +
+      `Found files: ${fileNames.join(', ')}`
+    );
+  }
+
+  const result = {
+    local: {}
+  };
+  Object.keys(files).forEach((name) => {
+    result[name] = transport.getFileUrl(files[name], build);
+    result.local[name] = [buildId, files[name]].join('/');
+  });
+
+  // The same as publishOsxReleaseFile does
+  if (result.release) {
+    result.update = result.release;
+    delete result.release;
+    delete result.local.release;
+  }
+
+  return result;
 }
 
 function publishOsxReleaseFile(build, options, assets, transport) {
@@ -111,7 +289,15 @@ function publishOsxReleaseFile(build, options, assets, transport) {
     pub_date: new Date().toISOString()
   };
 
-  const releaseFilePath = path.join(build.assetsPath, 'release.json');
+  // Each mac arch has its own release.json, so it's not stored in the
+  // shared dist folder
+  const releaseDir = path.join(
+    os.tmpdir(),
+    'electron-simple-publisher',
+    transport.getBuildId(build)
+  );
+  const releaseFilePath = path.join(releaseDir, 'release.json');
+  fs.mkdirSync(releaseDir, { recursive: true });
   fs.writeFileSync(releaseFilePath, JSON.stringify(data, null, '  '));
 
   return transport.uploadFile(releaseFilePath, build)
@@ -122,32 +308,70 @@ function publishOsxReleaseFile(build, options, assets, transport) {
 }
 
 /**
- * @param {Object} progress
- * @param {string} progress.name
- * @param {number} progress.transferred
- * @param {number} progress.total
+ * Push files which are made from updates.json and enabled by options
+ *
+ * @param {object} build
+ * @param {AbstractTransport} transport
+ * @param {object} options
+ * @param {object} [updatesJson] It's fetched from a hosting if not set
+ * @return {Promise<Array<string>>} Names of pushed files
  */
-function onProgress(progress) {
-  const value = progress.transferred / progress.total;
-  const percentage = Math.round(value * 100);
+function publishRootFiles(build, transport, options, updatesJson) {
+  const fileNames = [];
 
-  let bar = new Array(Math.floor(50 * value)).join('█');
-  while (bar.length < 49) {
-    bar += '.';
-  }
+  return Promise.resolve()
+    .then(() => {
+      if (options.electronUpdater) {
+        return publishLatestYml(build, transport, updatesJson)
+          .then(() => fileNames.push(getLatestYmlName(build)));
+      }
+    })
+    .then(() => {
+      if (options.appcast && build.platform === 'darwin') {
+        return publishAppcast(build, transport, options, updatesJson)
+          .then(() => fileNames.push(getAppcastName(build)));
+      }
+    })
+    .then(() => fileNames);
+}
+
+/**
+ * Push latest.yml, latest-mac.yml or latest-linux.yml for electron-updater.
+ * It's made from updates.json, so files of other archs of the same platform
+ * are kept. It describes the version of the build set in updates.json
+ *
+ * @param {object} build
+ * @param {AbstractTransport} transport
+ * @param {object} [updatesJson] It's fetched from a hosting if not set
+ * @return {Promise}
+ */
+function publishLatestYml(build, transport, updatesJson) {
+  const fetch = updatesJson
+    ? Promise.resolve(updatesJson)
+    : transport.fetchUpdatesJson();
+
+  return fetch
+    .then((json) => {
+      json = json || {};
 
-  const size = formatSize(progress.transferred) +
-    ' / ' + formatSize(progress.total);
+      // The version which is set in updates.json, e.g. the previous one
+      // after a rollback
+      const entry = json[transport.getBuildId(build, false)];
+      const target = entry
+        ? Object.assign({}, build, { version: entry.version })
+        : build;
 
-  line([
-    `\nUploading ${progress.name}\n`,
-    `[${bar}] ${percentage}% (${size})\n`
-  ].join(''));
+      const content = makeLatestYml(target, json, transport);
+      return transport.pushRootFile(getLatestYmlName(target), content);
+    });
 }
 
-function formatSize(bytes) {
-  if (bytes === 0) return '0 B';
-  const e = Math.floor(Math.log(bytes) / Math.log(1024));
-  return +(bytes / (Math.pow(1024, e))).toFixed(2) + ' ' +
-    'BKMGTP'.charAt(e).replace('B', '') + 'B';
-}
\ No newline at end of file
+/**
+ * @param {Object} info
+ * @param {string} info.name
+ * @param {number} info.transferred
+ * @param {number} info.total
+ */
+function onProgress(info) {
+  progress.update(info);
+}
@@ -32,8 +32,101 @@ describe('Publish command', () => {
         expect(assetUrls).to.deep.equal({
           installer: 'http://example.com/win32-ia32-test-v1.0.0/Test Setup 3.3.1-ia32.exe',
           metaFile:  'http://example.com/win32-ia32-test-v1.0.0/RELEASES',
-          updater:   'http://example.com/win32-ia32-test-v1.0.0/test-3.3.1-full.nupkg'
+          updater:   'http://example.com/win32-ia32-test-v1.0.0/test-3.3.1-full.nupkg',
+          local: {
+            installer: 'win32-ia32-test-v1.0.0/Test Setup 3.3.1-ia32.exe',
+            metaFile:  'win32-ia32-test-v1.0.0/RELEASES',
+            updater:   'win32-ia32-test-v1.0.0/test-3.3.1-full.nupkg'
+          }
         });
       });
   });
-});
\ No newline at end of file
+
+  it('should upload a shared file once when uploading in parallel', () => {
+    const build = {
+      platform: 'linux',
+      arch: 'x64',
+      channel: 'prod',
+      version: '1.0.0',
+      assets: {
+        update: '/tmp/dist/linux-x64/test.AppImage',
+        install: '/tmp/dist/linux-x64/test.AppImage'
+      }
+    };
+    const transport = new TestTransport({
+      transport: {},
+      updatesJsonUrl: 'http://example.com'
+    });
+    return publish.publishAssets(build, transport, 2)
+      .then((assetUrls) => {
+        expect(transport.uploadFiles).to.deep.equal([
+          '/tmp/dist/linux-x64/test.AppImage'
+        ]);
+        expect(assetUrls.update).to.equal(assetUrls.install);
+      });
+  });
+
+  it('should finish running uploads before failing', () => {
+    const build = {
+      platform: 'win32',
+      arch: 'x64',
+      channel: 'prod',
+      version: '1.0.0',
+      assets: {
+        install: '/tmp/dist/win32-x64/test-Setup.exe',
+        update: '/tmp/dist/win32-x64/test-full.nupkg'
+      }
+    };
+    const transport = new TestTransport({
+      transport: {},
+      updatesJsonUrl: 'http://example.com'
+    });
+    const finished = [];
+    transport.uploadFile = (filePath) => {
+      if (filePath.endsWith('.exe')) {
+        return Promise.reject(new Error('Upload failed'));
+      }
+
+      return new Promise(resolve => setTimeout(resolve, 20))
+        .then(() => {
+          finished.push(filePath);
+          return 'http://example.com/test-full.nupkg';
+        });
+    };
+
+    return publish.publishAssets(build, transport, 2)
+      .then(() => {
+        throw new Error('publishAssets should fail');
+      }, (e) => {
+        expect(e.message).to.equal('Upload failed');
+        expect(finished).to.deep.equal(['/tmp/dist/win32-x64/test-full.nupkg']);
+      });
+  });
+
+  it('should add checksums to updates.json entry', () => {
+    const build = { platform: 'linux', version: '1.0.0' };
+    const assets = {
+      update: 'http://example.com/linux-x64-prod-v1.0.0/test.AppImage',
+      install: 'http://example.com/linux-x64-prod-v1.0.0/test.AppImage',
+      local: {
+        update: 'linux-x64-prod-v1.0.0/test.AppImage',
+        install: 'linux-x64-prod-v1.0.0/test.AppImage'
+      },
+      checksums: {
+        update: { sha256: 'a', sha512: 'b', size: 1 }
+      }
+    };
+
+    const data = publish.makeUpdatesJsonEntry(build, assets, { fields: {} });
+    expect(data).to.deep.equal({
+      update: 'http://example.com/linux-x64-prod-v1.0.0/test.AppImage',
+      'update-local': 'linux-x64-prod-v1.0.0/test.AppImage',
+      install: 'http://example.com/linux-x64-prod-v1.0.0/test.AppImage',
+      'install-local': 'linux-x64-prod-v1.0.0/test.AppImage',
+      version: '1.0.0',
+      'update-sha256': 'a',
+      'update-sha512': 'b',
+      'update-size': 1
+    });
+  });
+});
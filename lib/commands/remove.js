@@ -1,5 +1,7 @@
 'use strict';
 
+const { publishAppcast } = require('../utils/appcast');
+
 module.exports = remove;
 module.exports.NAME = 'remove';
 
@@ -19,6 +21,11 @@ function remove(build, options) {
     .then(() => {
       return transport.updateUpdatesJson(build, false);
     })
+    .then(() => {
+      if (options.appcast && build.platform === 'darwin') {
+        return publishAppcast(build, transport, options);
+      }
+    })
     .then(() => {
       return transport.afterRemove(build);
     });
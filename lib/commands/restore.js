@@ -0,0 +1,85 @@
+'use strict';
+
+const publish = require('./publish');
+
+const { formatSize }   = require('../utils/progress');
+const { parseBuildId } = require('../utils/build-id');
+
+module.exports = restore;
+module.exports.NAME = 'restore';
+module.exports.formatVersions = formatVersions;
+
+
+/**
+ * Replace updates.json by its previous version, if a hosting keeps
+ * versions (like a versioned S3 bucket). Without options.versionId, only
+ * return a list of versions. latest.yml and appcast.xml of all builds in
+ * the restored updates.json are regenerated if they are enabled.
+ * @param {object} options
+ * @return {Promise<object|Array<object>>} The restored version or versions
+ */
+function restore(options) {
+  const transport = options.transport.instance;
+
+  return transport.fetchUpdatesJsonVersions()
+    .then((versions) => {
+      if (!options.versionId) {
+        return versions;
+      }
+
+      const versionId = String(options.versionId);
+      const version = versions.filter(v => v.id === versionId)[0];
+
+      if (!version) {
+        throw new Error(`There is no updates.json version ${versionId}`);
+      }
+
+      if (version.isLatest) {
+        throw new Error(`updates.json version ${versionId} is already current`);
+      }
+
+      return transport.fetchUpdatesJsonVersion(versionId)
+        .then((json) => {
+          return transport.modifyUpdatesJson(() => json)
+            .then(() => publishRootFiles(json, transport, options));
+        })
+        .then(() => version);
+    });
+}
+
+/**
+ * @param {object} updatesJson
+ * @param {AbstractTransport} transport
+ * @param {object} options
+ * @return {Promise}
+ */
+function publishRootFiles(updatesJson, transport, options) {
+  return Object.keys(updatesJson).reduce((promise, key) => {
+    const entry = updatesJson[key];
+    const build = entry && parseBuildId(`${key}-v${entry.version}`);
+    if (!build) {
+      return promise;
+    }
+
+    return promise.then(() => {
+      return publish.publishRootFiles(build, transport, options, updatesJson);
+    });
+  }, Promise.resolve());
+}
+
+/**
+ * @param {Array<object>} versions Result of fetchUpdatesJsonVersions
+ * @return {string}
+ */
+function formatVersions(versions) {
+  return versions
+    .map((version) => {
+      return [
+        version.id,
+        new Date(version.date).toISOString(),
+        formatSize(version.size),
+        version.isLatest ? '(current)' : ''
+      ].join('  ').trim();
+    })
+    .join('\n');
+}
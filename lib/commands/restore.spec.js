@@ -0,0 +1,93 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const restore       = require('./restore');
+const TestTransport = require('../../spec/test-transport');
+
+describe('Restore command', () => {
+  it('should replace updates.json by a previous version', () => {
+    const options = getOptions({ versionId: 'v1' });
+    const transport = options.transport.instance;
+    const previous = { 'linux-x64-prod': { version: '1.0.0' } };
+
+    transport.fetchUpdatesJsonVersion = (versionId) => {
+      expect(versionId).to.equal('v1');
+      return Promise.resolve(previous);
+    };
+
+    return restore(options)
+      .then((version) => {
+        expect(version.id).to.equal('v1');
+        expect(transport.updatePushes).to.deep.equal([previous]);
+      });
+  });
+
+  it('should regenerate latest.yml of restored builds', () => {
+    const options = getOptions({ versionId: 'v1', electronUpdater: true });
+    const transport = options.transport.instance;
+
+    transport.fetchUpdatesJsonVersion = () => Promise.resolve({
+      'win32-x64-prod': {
+        'install-local': 'win32-x64-prod-v1.0.0/Example-Setup-1.0.0.exe',
+        'install-sha512': 'abcd',
+        version: '1.0.0'
+      }
+    });
+
+    return restore(options)
+      .then(() => {
+        expect(transport.rootFiles['latest.yml'])
+          .to.contain('version: 1.0.0');
+      });
+  });
+
+  it('should not restore the current version', () => {
+    const options = getOptions({ versionId: 'v2' });
+
+    return restore(options)
+      .then(() => {
+        throw new Error('restore should fail');
+      }, (e) => {
+        expect(e.message).to.equal('updates.json version v2 is already current');
+        expect(options.transport.instance.updatePushes).to.be.empty;
+      });
+  });
+
+  it('should format versions', () => {
+    const options = getOptions({});
+
+    return restore(options)
+      .then((versions) => {
+        expect(restore.formatVersions(versions).split('\n')).to.deep.equal([
+          'v2  2018-01-02T00:00:00.000Z  2 KB  (current)',
+          'v1  2018-01-01T00:00:00.000Z  1 KB'
+        ]);
+      });
+  });
+});
+
+function getOptions(options) {
+  const transport = new TestTransport({
+    transport: { remoteUrl: 'http://example.com' }
+  });
+
+  transport.fetchUpdatesJsonVersions = () => {
+    return Promise.resolve([
+      {
+        id: 'v2',
+        date: new Date('2018-01-02T00:00:00Z'),
+        size: 2048,
+        isLatest: true
+      },
+      {
+        id: 'v1',
+        date: new Date('2018-01-01T00:00:00Z'),
+        size: 1024,
+        isLatest: false
+      }
+    ]);
+  };
+
+  return Object.assign({ transport: { instance: transport } }, options);
+}
@@ -0,0 +1,79 @@
+'use strict';
+
+const semver  = require('semver');
+const publish = require('./publish');
+
+module.exports = rollback;
+module.exports.NAME = 'rollback';
+module.exports.findPreviousVersion = findPreviousVersion;
+
+
+/**
+ * Point updates.json entry of the build to a previous version which is
+ * still stored on a hosting. If build.version is set, this version is used.
+ * latest.yml and appcast.xml are regenerated if they are enabled.
+ * @param {object} build Current build
+ * @param {object} options
+ * @return {Promise<object>} The build which is set in updates.json
+ */
+function rollback(build, options) {
+  const transport = options.transport.instance;
+  const updatesJsonKey = transport.getBuildId(build, false);
+  let target;
+  let current;
+
+  return Promise.all([transport.fetchUpdatesJson(), transport.fetchBuildsList()])
+    .then(([json, buildIds]) => {
+      current = (json || {})[updatesJsonKey];
+      const version = build.version || findPreviousVersion(
+        buildIds,
+        updatesJsonKey,
+        current && current.version
+      );
+
+      if (!version) {
+        throw new Error(
+          `There is no previous version of ${updatesJsonKey} on the hosting`
+        );
+      }
+
+      target = Object.assign({}, build, { version });
+
+      if (buildIds.indexOf(transport.getBuildId(target)) === -1) {
+        throw new Error(
+          `Build ${transport.getBuildId(target)} is not found on the hosting`
+        );
+      }
+
+      return transport.fetchBuildFiles(target);
+    })
+    .then((fileNames) => {
+      const assets = publish.getRemoteAssets(target, fileNames, transport, options);
+      const data = publish.makeUpdatesJsonEntry(target, assets, options);
+      publish.copyChecksums(data, current);
+      return transport.updateUpdatesJson(target, data);
+    })
+    .then(() => {
+      return publish.publishRootFiles(target, transport, options);
+    })
+    .then(() => target);
+}
+
+/**
+ * Return the greatest version of the build which is less than
+ * currentVersion. If currentVersion isn't set, return the latest version.
+ * @param {Array<string>} buildIds
+ * @param {string} updatesJsonKey buildId without version
+ * @param {string} [currentVersion]
+ * @return {string|undefined}
+ */
+function findPreviousVersion(buildIds, updatesJsonKey, currentVersion) {
+  const prefix = updatesJsonKey + '-v';
+
+  return buildIds
+    .filter(buildId => buildId.startsWith(prefix))
+    .map(buildId => buildId.substring(prefix.length))
+    .filter(version => semver.valid(version))
+    .filter(version => !currentVersion || semver.lt(version, currentVersion))
+    .sort(semver.rcompare)[0];
+}
@@ -0,0 +1,138 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const rollback      = require('./rollback');
+const TestTransport = require('../../spec/test-transport');
+
+describe('Rollback command', () => {
+  it('should find a previous version', () => {
+    const buildIds = [
+      'win32-x64-prod-v0.0.1',
+      'win32-x64-prod-v0.0.3',
+      'win32-x64-prod-v0.0.2',
+      'win32-x64-prod2-v0.0.1',
+      'win32-x64-prod-v0.1.0'
+    ];
+
+    expect(rollback.findPreviousVersion(buildIds, 'win32-x64-prod', '0.1.0'))
+      .to.equal('0.0.3');
+    expect(rollback.findPreviousVersion(buildIds, 'win32-x64-prod', '0.0.1'))
+      .to.be.undefined;
+    expect(rollback.findPreviousVersion(buildIds, 'win32-x64-prod'))
+      .to.equal('0.1.0');
+  });
+
+  it('should point updates.json to the previous version', () => {
+    const options = getOptions();
+    const transport = options.transport.instance;
+    transport.fetchBuildsList = () => Promise.resolve([
+      'win32-x64-prod-v0.0.1',
+      'win32-x64-prod-v0.0.0'
+    ]);
+
+    const build = { platform: 'win32', arch: 'x64', channel: 'prod' };
+    return rollback(build, options)
+      .then((target) => {
+        expect(target.version).to.equal('0.0.0');
+        expect(transport.uploadFiles).to.be.empty;
+        expect(transport.updatePushes[0]['win32-x64-prod']).to.deep.equal({
+          update: 'http://example.com/win32-x64-prod-v0.0.0',
+          'update-local': 'win32-x64-prod-v0.0.0',
+          install: 'http://example.com/win32-x64-prod-v0.0.0/' +
+            'Example-Setup-0.0.0.exe',
+          'install-local': 'win32-x64-prod-v0.0.0/Example-Setup-0.0.0.exe',
+          version: '0.0.0'
+        });
+      });
+  });
+
+  it('should keep checksums of the previous version', () => {
+    const options = getOptions();
+    const transport = options.transport.instance;
+    transport.fetchUpdatesJson = () => Promise.resolve({
+      'win32-x64-prod': {
+        version: '0.0.1',
+        'install-sha256': 'sha256:new',
+        previous: {
+          version: '0.0.0',
+          'install-sha256': 'sha256:old',
+          'install-sha512': 'sha512:old',
+          'install-size': 100
+        }
+      }
+    });
+    transport.fetchBuildsList = () => Promise.resolve([
+      'win32-x64-prod-v0.0.1',
+      'win32-x64-prod-v0.0.0'
+    ]);
+
+    const build = { platform: 'win32', arch: 'x64', channel: 'prod' };
+    return rollback(build, options)
+      .then(() => {
+        const entry = transport.updatePushes[0]['win32-x64-prod'];
+        expect(entry['install-sha256']).to.equal('sha256:old');
+        expect(entry['install-sha512']).to.equal('sha512:old');
+        expect(entry['install-size']).to.equal(100);
+      });
+  });
+
+  it('should regenerate latest.yml', () => {
+    const options = getOptions();
+    options.electronUpdater = true;
+    const transport = options.transport.instance;
+    let json = {
+      'win32-x64-prod': {
+        'install-local': 'win32-x64-prod-v0.0.1/Example-Setup-0.0.1.exe',
+        'install-sha512': 'abcd',
+        version: '0.0.1',
+        rollout: 10,
+        previous: { 'install-sha512': 'ef01', version: '0.0.0' }
+      }
+    };
+    transport.fetchUpdatesJson = () => Promise.resolve(json);
+    transport.pushUpdatesJson = (data) => {
+      json = data;
+      return Promise.resolve('http://example.com/updates.json');
+    };
+    transport.fetchBuildsList = () => Promise.resolve([
+      'win32-x64-prod-v0.0.1',
+      'win32-x64-prod-v0.0.0'
+    ]);
+
+    const build = { platform: 'win32', arch: 'x64', channel: 'prod' };
+    return rollback(build, options)
+      .then(() => {
+        expect(transport.rootFiles['latest.yml'])
+          .to.contain('version: 0.0.0')
+          .and.to.contain('Example-Setup-0.0.0.exe');
+      });
+  });
+
+  it('should fail if there is no previous version', () => {
+    const options = getOptions();
+    const build = { platform: 'win32', arch: 'x64', channel: 'prod' };
+
+    return rollback(build, options)
+      .then(() => {
+        throw new Error('Rollback should fail');
+      }, (e) => {
+        expect(e.message).to.equal(
+          'There is no previous version of win32-x64-prod on the hosting'
+        );
+        expect(options.transport.instance.updatePushes).to.be.empty;
+      });
+  });
+});
+
+function getOptions() {
+  const options = {
+    command: 'rollback',
+    transport: { remoteUrl: 'http://example.com' },
+    fields: {},
+    packageJson: { name: 'example', productName: 'Example' },
+    updatesJsonUrl: 'http://example.com/updates.json'
+  };
+  options.transport.instance = new TestTransport(options);
+  return options;
+}
@@ -0,0 +1,64 @@
+'use strict';
+
+const publish = require('./publish');
+
+module.exports = rollout;
+module.exports.NAME = 'rollout';
+
+
+/**
+ * Change the rollout percentage of the build which is already set in
+ * updates.json. 100 makes the build available for all users and removes
+ * the previous version fallback. latest.yml is regenerated as well when
+ * the electronUpdater option is set, since it contains the percentage.
+ * @param {object} build
+ * @param {object} options
+ * @return {Promise<object>} The new updates.json entry
+ */
+function rollout(build, options) {
+  const transport = options.transport.instance;
+  const updatesJsonKey = transport.getBuildId(build, false);
+
+  if (options.rollout === undefined) {
+    return Promise.reject(new Error(
+      'You should specify a percentage, like rollout win32-x64 50'
+    ));
+  }
+
+  let target;
+  let data;
+
+  return transport.modifyUpdatesJson((json) => {
+    const current = json[updatesJsonKey];
+
+    if (!current) {
+      throw new Error(`There is no ${updatesJsonKey} build in updates.json`);
+    }
+
+    if (build.version && build.version !== current.version) {
+      throw new Error(
+        `updates.json contains ${updatesJsonKey} v${current.version}, ` +
+        `not v${build.version}`
+      );
+    }
+
+    data = Object.assign({}, current);
+    if (options.rollout < 100) {
+      data.rollout = options.rollout;
+    } else {
+      delete data.rollout;
+      delete data.previous;
+    }
+
+    target = Object.assign({}, build, { version: current.version });
+    json[updatesJsonKey] = data;
+    return json;
+  })
+    .then(() => {
+      // latest.yml contains stagingPercentage of the build
+      if (options.electronUpdater) {
+        return publish.publishLatestYml(target, transport);
+      }
+    })
+    .then(() => data);
+}
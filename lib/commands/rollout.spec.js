@@ -0,0 +1,128 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const publish       = require('./publish');
+const rollout       = require('./rollout');
+const TestTransport = require('../../spec/test-transport');
+
+describe('Rollout command', () => {
+  it('should keep the previous version while publishing partially', () => {
+    const options = getOptions({ rollout: 10 });
+    const transport = options.transport.instance;
+    const build = {
+      platform: 'win32',
+      arch: 'x64',
+      channel: 'prod',
+      version: '0.0.2'
+    };
+    const assets = {
+      update: 'http://example.com/win32-x64-prod-v0.0.2/example.nupkg',
+      install: 'http://example.com/win32-x64-prod-v0.0.2/example.exe',
+      metaFile: 'http://example.com/win32-x64-prod-v0.0.2/RELEASES',
+      local: {
+        metaFile: 'win32-x64-prod-v0.0.2/RELEASES'
+      }
+    };
+
+    const data = publish.makeUpdatesJsonEntry(build, assets, options);
+    return transport.updateUpdatesJson(build, data)
+      .then(() => {
+        const entry = transport.updatePushes[0]['win32-x64-prod'];
+        expect(entry.version).to.equal('0.0.2');
+        expect(entry.rollout).to.equal(10);
+        expect(entry.previous.version).to.equal('0.0.1');
+        expect(entry.previous.installUrl).to.equal(
+          'http://example.com/win32-x64-prod-v0.0.1/Example-0.0.1.exe'
+        );
+      });
+  });
+
+  it('should raise the percentage without re-uploading', () => {
+    const options = getOptions({ rollout: 50 });
+    const transport = options.transport.instance;
+    const fetchUpdatesJson = transport.fetchUpdatesJson;
+    transport.fetchUpdatesJson = () => fetchUpdatesJson.call(transport)
+      .then((json) => {
+        json['win32-x64-prod'].rollout = 10;
+        json['win32-x64-prod'].previous = { version: '0.0.0' };
+        return json;
+      });
+
+    const build = { platform: 'win32', arch: 'x64', channel: 'prod' };
+    return rollout(build, options)
+      .then((entry) => {
+        expect(transport.uploadFiles).to.be.empty;
+        expect(entry.rollout).to.equal(50);
+        expect(transport.updatePushes[0]['win32-x64-prod'].previous)
+          .to.deep.equal({ version: '0.0.0' });
+
+        options.rollout = 100;
+        return rollout(build, options);
+      })
+      .then((entry) => {
+        expect(entry.rollout).to.be.undefined;
+        expect(entry.previous).to.be.undefined;
+      });
+  });
+
+  it('should update stagingPercentage of latest.yml', () => {
+    const options = getOptions({ rollout: 50, electronUpdater: true });
+    const transport = options.transport.instance;
+    let json = {
+      'win32-x64-prod': {
+        'install-local': 'win32-x64-prod-v0.0.2/Example-Setup-0.0.2.exe',
+        'install-sha512': 'abcd',
+        'install-size': 100,
+        version: '0.0.2',
+        rollout: 10,
+        previous: { version: '0.0.1' }
+      }
+    };
+    transport.fetchUpdatesJson = () => Promise.resolve(json);
+    transport.pushUpdatesJson = (data) => {
+      json = data;
+      return Promise.resolve('http://example.com/updates.json');
+    };
+
+    const build = { platform: 'win32', arch: 'x64', channel: 'prod' };
+    return rollout(build, options)
+      .then(() => {
+        expect(json['win32-x64-prod'].rollout).to.equal(50);
+        expect(transport.rootFiles['latest.yml'])
+          .to.contain('version: 0.0.2')
+          .and.to.contain('stagingPercentage: 50');
+      });
+  });
+
+  it('should fail if the version differs from updates.json', () => {
+    const options = getOptions({ rollout: 50 });
+    const build = {
+      platform: 'win32',
+      arch: 'x64',
+      channel: 'prod',
+      version: '0.0.2'
+    };
+
+    return rollout(build, options)
+      .then(() => {
+        throw new Error('Rollout should fail');
+      }, (e) => {
+        expect(e.message).to.equal(
+          'updates.json contains win32-x64-prod v0.0.1, not v0.0.2'
+        );
+      });
+  });
+});
+
+function getOptions(extra) {
+  const options = Object.assign({
+    command: 'rollout',
+    transport: { remoteUrl: 'http://example.com' },
+    fields: {},
+    packageJson: { name: 'example', productName: 'Example' },
+    updatesJsonUrl: 'http://example.com/updates.json'
+  }, extra);
+  options.transport.instance = new TestTransport(options);
+  return options;
+}
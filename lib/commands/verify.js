@@ -0,0 +1,217 @@
+'use strict';
+
+const fs = require('fs');
+
+const { addAssetsInfo, findRemoteAssets } = require('../utils/add-assets-info');
+const { parseBuildId, matchBuild }        = require('../utils/build-id');
+const { hashFile }                        = require('../utils/checksums');
+
+module.exports = verify;
+module.exports.NAME = 'verify';
+module.exports.getFilesToCheck = getFilesToCheck;
+
+/**
+ * Check that all files referenced by updates.json are available on a
+ * hosting and match local dist files
+ * @param {object} options
+ * @return {Promise<Array<object>>} Results of all checks
+ */
+function verify(options) {
+  const transport = options.transport.instance;
+  const results = [];
+
+  return transport.fetchUpdatesJson()
+    .then((json) => {
+      json = json || {};
+
+      const entries = Object.keys(json)
+        .filter(key => json[key] && json[key].version)
+        .map(key => ({ key, entry: json[key] }))
+        .filter(({ key, entry }) => {
+          const build = parseBuildId(`${key}-v${entry.version}`);
+          return !options.builds.length || options.builds.some((filter) => {
+            return matchBuild(build, filter);
+          });
+        });
+
+      if (!entries.length) {
+        throw new Error('There are no builds to verify in updates.json');
+      }
+
+      return entries.reduce((promise, { key, entry }) => {
+        return promise
+          .then(() => verifyEntry(key, entry, transport, options))
+          .then(entryResults => results.push(...entryResults));
+      }, Promise.resolve());
+    })
+    .then(() => {
+      const failed = results.filter(r => r.problems.length);
+      if (failed.length) {
+        throw new Error(
+          `Verification failed, ${failed.length} problem(s) found:\n` +
+          failed.map(formatResult).join('\n')
+        );
+      }
+
+      return results;
+    });
+}
+
+function verifyEntry(key, entry, transport, options) {
+  const build = parseBuildId(`${key}-v${entry.version}`);
+  const localAssets = getLocalAssets(build, options);
+  const results = [];
+
+  return getFilesToCheck(build, entry, localAssets, transport, options)
+    .then((files) => {
+      return files.reduce((promise, file) => {
+        return promise
+          .then(() => verifyFile(file, entry, transport))
+          .then((result) => {
+            result.key = key;
+            console.log(formatResult(result));
+            results.push(result);
+          });
+      }, Promise.resolve());
+    })
+    .then(() => results);
+}
+
+/**
+ * Make a list of urls which should be checked for the updates.json entry
+ * @param {object} build
+ * @param {object} entry updates.json entry
+ * @param {object} localAssets Asset name => local file path
+ * @param {AbstractTransport} transport
+ * @param {object} options
+ * @return {Promise<Array<{name: string, url: string, localPath: string}>>}
+ */
+function getFilesToCheck(build, entry, localAssets, transport, options) {
+  const files = [];
+
+  if (entry.install) {
+    files.push({ name: 'install', url: entry.install });
+  }
+
+  if (entry.update) {
+    if (build.platform === 'win32') {
+      const dir = entry.update.replace(/\/$/, '');
+      files.push({ name: 'metaFile', url: dir + '/RELEASES' });
+    } else if (build.platform === 'darwin') {
+      files.push({ name: 'release', url: entry.update });
+    } else {
+      files.push({ name: 'update', url: entry.update });
+    }
+  }
+
+  const addLocalPaths = () => {
+    files.forEach((file) => {
+      file.localPath = localAssets[file.name];
+    });
+    return files;
+  };
+
+  if (!files.length || files.some(f => f.name === 'update')) {
+    return Promise.resolve(addLocalPaths());
+  }
+
+  // An update file isn't referenced by the update field for windows and
+  // mac. update-local points to the zip on mac, on windows the file is
+  // looked up in the directory where other files of the build are
+  const [localBuildId, localFileName] = (entry['update-local'] || '').split('/');
+  const parts = files[0].url.split('/');
+  const fileBuild = parseBuildId(localBuildId) ||
+    parseBuildId(decodeURIComponent(parts[parts.length - 2]));
+
+  if (!fileBuild) {
+    return Promise.resolve(addLocalPaths());
+  }
+
+  const findFileName = localFileName
+    ? Promise.resolve(localFileName)
+    : transport.fetchBuildFiles(fileBuild)
+      .then((fileNames) => {
+        return findRemoteAssets(fileBuild, fileNames, options).update;
+      })
+      .catch(() => null);
+
+  return findFileName
+    .then((fileName) => {
+      if (fileName) {
+        files.push({
+          name: 'update',
+          url: transport.getFileUrl(fileName, fileBuild)
+        });
+      }
+      return addLocalPaths();
+    });
+}
+
+function verifyFile(file, entry, transport) {
+  const parts = file.url.split('/');
+  const fileName = decodeURIComponent(parts[parts.length - 1]);
+  const fileBuild = parseBuildId(decodeURIComponent(parts[parts.length - 2]));
+  const result = Object.assign({ problems: [] }, file);
+
+  return transport.fetchFileInfo(file.url, fileBuild, fileName)
+    .catch(e => ({ exists: false, status: e.message || e }))
+    .then((info) => {
+      result.info = info;
+
+      if (!info.exists) {
+        result.problems.push(`missing (${info.status})`);
+        return result;
+      }
+
+      const expectedSize = entry[`${file.name}-size`];
+      if (expectedSize !== undefined && info.size !== undefined &&
+        expectedSize !== info.size) {
+        result.problems.push(
+          `size ${info.size} doesn't match updates.json ${expectedSize}`
+        );
+      }
+
+      if (!file.localPath) {
+        return result;
+      }
+
+      const localSize = fs.statSync(file.localPath).size;
+      if (info.size !== undefined && localSize !== info.size) {
+        result.problems.push(
+          `size ${info.size} doesn't match local file size ${localSize}`
+        );
+      }
+
+      const expectedHash = entry[`${file.name}-sha256`];
+      if (!expectedHash) {
+        return result;
+      }
+
+      return hashFile(file.localPath)
+        .then((checksums) => {
+          if (checksums.sha256 !== expectedHash) {
+            result.problems.push(
+              `sha256 of ${file.localPath} doesn't match updates.json`
+            );
+          }
+          return result;
+        });
+    });
+}
+
+function getLocalAssets(build, options) {
+  try {
+    const localOptions = Object.assign({}, options, { version: build.version });
+    return addAssetsInfo(build, localOptions).assets;
+  } catch (e) {
+    return {};
+  }
+}
+
+function formatResult(result) {
+  const status = result.problems.length ? 'FAIL' : 'OK  ';
+  const details = result.problems.length
+    ? ': ' + result.problems.join(', ')
+    : '';
+  return `${status} ${result.key} ${result.name} ${result.url}${details}`;
+}
@@ -0,0 +1,118 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon      = require('sinon');
+
+const verify        = require('./verify');
+const TestTransport = require('../../spec/test-transport');
+
+describe('Verify command', () => {
+  let log;
+
+  beforeEach(() => {
+    log = sinon.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    log.restore();
+  });
+
+  it('should check RELEASES and installer for windows', () => {
+    const options = getOptions();
+    const transport = options.transport.instance;
+    const build = { platform: 'win32', arch: 'x64', channel: 'prod' };
+    const entry = {
+      update: 'http://example.com/win32-x64-prod-v1.0.0',
+      install: 'http://example.com/win32-x64-prod-v1.0.0/Setup.exe',
+      version: '1.0.0'
+    };
+
+    return verify.getFilesToCheck(build, entry, {
+      update: '/tmp/dist/win/example-1.0.0-full.nupkg'
+    }, transport, options)
+      .then((files) => {
+        expect(files).to.deep.equal([{
+          name: 'install',
+          url: 'http://example.com/win32-x64-prod-v1.0.0/Setup.exe',
+          localPath: undefined
+        }, {
+          name: 'metaFile',
+          url: 'http://example.com/win32-x64-prod-v1.0.0/RELEASES',
+          localPath: undefined
+        }, {
+          name: 'update',
+          url: 'http://example.com/win32-x64-prod-v1.0.0/example-1.0.0-full.nupkg',
+          localPath: '/tmp/dist/win/example-1.0.0-full.nupkg'
+        }]);
+      });
+  });
+
+  it('should find an update file without local dist files', () => {
+    const options = getOptions();
+    const transport = options.transport.instance;
+    const build = { platform: 'darwin', arch: 'x64', channel: 'prod' };
+    const entry = {
+      update: 'http://example.com/darwin-x64-prod-v1.0.0/release.json',
+      'update-local': 'darwin-x64-prod-v1.0.0/example-1.0.0-mac.zip',
+      version: '1.0.0'
+    };
+
+    return verify.getFilesToCheck(build, entry, {}, transport, options)
+      .then((files) => {
+        expect(files.map(f => f.url)).to.deep.equal([
+          'http://example.com/darwin-x64-prod-v1.0.0/release.json',
+          'http://example.com/darwin-x64-prod-v1.0.0/example-1.0.0-mac.zip'
+        ]);
+      });
+  });
+
+  it('should report missing files and wrong sizes', () => {
+    const options = getOptions();
+    const transport = options.transport.instance;
+    const checked = [];
+    transport.fetchFileInfo = (url, build, fileName) => {
+      checked.push([transport.getBuildId(build), fileName]);
+      if (fileName === 'Setup.exe') {
+        return Promise.resolve({ exists: false, status: 'HTTP 404' });
+      }
+      return Promise.resolve({ exists: true, size: 10, status: 'HTTP 200' });
+    };
+
+    return verify(options)
+      .then(() => {
+        throw new Error('Verify should fail');
+      }, (e) => {
+        expect(checked).to.deep.equal([
+          ['linux-x64-prod-v1.0.0', 'Setup.exe'],
+          ['linux-x64-prod-v1.0.0', 'example.AppImage']
+        ]);
+        expect(e.message).to.contain('2 problem(s) found');
+        expect(e.message).to.contain('Setup.exe: missing (HTTP 404)');
+        expect(e.message).to.contain(
+          "example.AppImage: size 10 doesn't match updates.json 20"
+        );
+      });
+  });
+});
+
+function getOptions() {
+  const options = {
+    command: 'verify',
+    builds: [],
+    path: '/tmp/not-existed-dist',
+    transport: { remoteUrl: 'http://example.com' },
+    packageJson: { name: 'example' },
+    updatesJsonUrl: 'http://example.com/updates.json'
+  };
+  const transport = new TestTransport(options);
+  transport.fetchUpdatesJson = () => Promise.resolve({
+    'linux-x64-prod': {
+      install: 'http://example.com/linux-x64-prod-v1.0.0/Setup.exe',
+      update: 'http://example.com/linux-x64-prod-v1.0.0/example.AppImage',
+      'update-size': 20,
+      version: '1.0.0'
+    }
+  });
+  options.transport.instance = transport;
+  return options;
+}
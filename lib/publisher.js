@@ -2,8 +2,12 @@
 
 const normalizeOptions = require('./utils/normalize-options');
 const commands = require('./commands');
+const signature = require('./utils/signature');
+
+const { mapLimit, getConcurrency } = require('./utils/concurrency');
 
 module.exports.run = run;
+module.exports.verifyUpdatesJson = signature.verifyUpdatesJson;
 
 function run(options) {
   let transport;
@@ -31,9 +35,9 @@ function executeCommand(options) {
   switch (options.command) {
 
     case commands.publish.NAME: {
-      return options.builds.reduce((promise, build) => {
-        return promise.then(() => commands.publish(build, options));
-      }, Promise.resolve());
+      return mapLimit(options.builds, getConcurrency(options), (build) => {
+        return commands.publish(build, options);
+      });
     }
 
     case commands.replace.NAME: {
@@ -48,10 +52,40 @@ function executeCommand(options) {
       }, Promise.resolve());
     }
 
+    case commands.rollback.NAME: {
+      return options.builds.reduce((promise, build) => {
+        return promise.then(() => commands.rollback(build, options));
+      }, Promise.resolve());
+    }
+
+    case commands.rollout.NAME: {
+      return options.builds.reduce((promise, build) => {
+        return promise.then(() => commands.rollout(build, options));
+      }, Promise.resolve());
+    }
+
+    case commands.promote.NAME: {
+      return options.builds.reduce((promise, build) => {
+        return promise.then(() => commands.promote(build, options));
+      }, Promise.resolve());
+    }
+
     case commands.list.NAME: {
       return commands.list(options);
     }
 
+    case commands.prune.NAME: {
+      return commands.prune(options);
+    }
+
+    case commands.verify.NAME: {
+      return commands.verify(options);
+    }
+
+    case commands.restore.NAME: {
+      return commands.restore(options);
+    }
+
     default: {
       return Promise.reject('Unknown command ' + options.command);
     }
@@ -1,5 +1,6 @@
 'use strict';
 
+const crypto       = require('crypto');
 const EventEmitter = require('events').EventEmitter;
 const fs           = require('fs');
 const path         = require('path');
@@ -7,9 +8,17 @@ const Transform    = require('stream').Transform;
 const http         = require('httpreq');
 const tarGzip      = require('node-targz');
 
+const { createChecksums, hashFile } = require('../utils/checksums');
+const { isRetryableError }          = require('../utils/retry');
+const { addRolloutFallback }        = require('../utils/rollout');
+const signature = require('../utils/signature');
+
 const IGNORE_WARNING = 'You can ignore this warning if you run this command ' +
     'for the first time.';
 
+const UPDATES_JSON_ATTEMPTS = 5;
+const LOCK_TIMEOUT = 60;
+
 /**
  * @abstract
  */
@@ -29,7 +38,15 @@ class AbstractTransport extends EventEmitter {
     this.commandOptions = options;
     this.options = options.transport;
 
+    /**
+     * Checksums of files which have been streamed through makeProgressStream
+     * @type {Object<string, {sha256: string, sha512: string, size: number}>}
+     */
+    this.checksums = {};
+
     this.normalizeOptions(this.options);
+
+    this.signing = signature.getSigningOptions(options);
   }
 
   normalizeOptions(options) {
@@ -72,9 +89,22 @@ class AbstractTransport extends EventEmitter {
    * Save updates.json to a hosting
    * @abstract
    * @param {object} data updates.json content
+   * @param {*} [revision] Returned by fetchUpdatesJsonRevision. If it's
+   *   set, the transport should check that updates.json isn't changed
    * @return {Promise<string>} Url to updates.json
    */
-  pushUpdatesJson(data) {
+  pushUpdatesJson(data, revision) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Save a text file to the same location where updates.json is stored
+   * @abstract
+   * @param {string} fileName
+   * @param {string} content
+   * @return {Promise}
+   */
+  pushRootFile(fileName, content) {
     throw new Error('Not implemented');
   }
 
@@ -97,6 +127,50 @@ class AbstractTransport extends EventEmitter {
     throw new Error('Not implemented');
   }
 
+  /**
+   * Return information about all builds stored on a hosting. By default,
+   * it contains only buildId, transports could add a date of the build,
+   * a count of its files and their total size
+   * @return {Promise<Array<{id: string, date: (Date|undefined),
+   *   count: (number|undefined), size: (number|undefined)}>>}
+   */
+  fetchBuildsInfo() {
+    return this.fetchBuildsList()
+      .then(ids => ids.map(id => ({ id })));
+  }
+
+  /**
+   * Return names of all files of the build stored on a hosting
+   * @abstract
+   * @param {object} build
+   * @return {Promise<Array<string>>}
+   */
+  fetchBuildFiles(build) {
+    throw new Error('Not implemented');
+  }
+
+  //noinspection JSMethodCanBeStatic
+  /**
+   * Whether the transport can copy a build on a hosting without
+   * re-uploading files. If not, a promoted build references files of
+   * the source build.
+   * @return {boolean}
+   */
+  canCopyBuild() {
+    return false;
+  }
+
+  /**
+   * Copy all files of the build to another build on a hosting
+   * @abstract
+   * @param {object} fromBuild
+   * @param {object} toBuild
+   * @return {Promise}
+   */
+  copyBuild(fromBuild, toBuild) {
+    throw new Error('Not implemented');
+  }
+
   //noinspection JSMethodCanBeStatic
   /**
    * Do a custom work before uploading
@@ -143,9 +217,30 @@ class AbstractTransport extends EventEmitter {
     return Promise.resolve();
   }
 
+  /**
+   * Restore a connection before an operation is repeated. Transports
+   * which keep a connection open should re-create it here
+   * @return {Promise}
+   */
+  reconnect() {
+    return Promise.resolve();
+  }
+
+  //noinspection JSMethodCanBeStatic
+  /**
+   * Whether an operation which failed with this error should be repeated
+   * @param {Error} error
+   * @return {boolean}
+   */
+  isRetryableError(error) {
+    return isRetryableError(error);
+  }
+
   /**
    * Get updates.json content from hosting
-   * By default, this method just fetch this file through http
+   * Built-in transports read it directly from a storage. By default, this
+   * method fetches this file through http, which could return stale data
+   * if the file is cached by a CDN
    * @return {Promise<object>} data of updates.json
    */
   fetchUpdatesJson() {
@@ -155,21 +250,73 @@ class AbstractTransport extends EventEmitter {
           return reject(err);
         }
 
+        if (res.statusCode === 404) {
+          return resolve(this.onUpdatesJsonMissing());
+        }
+
         if (res.statusCode !== 200) {
-          console.warn(
-            `Could not get updates.json. ${IGNORE_WARNING} A hosting ` +
-            `response is:\n${res.statusCode} ${res.body}`
-          );
-          resolve({});
-          return;
+          return reject(new Error(
+            `Could not get updates.json. A hosting response is:\n` +
+            `${res.statusCode} ${res.body}`
+          ));
         }
 
         try {
-          resolve(JSON.parse(res.body));
+          resolve(this.parseUpdatesJson(res.body));
         } catch (e) {
-          console.warn('Unable to parse updates.json', IGNORE_WARNING, e);
-          resolve({});
+          reject(e);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {string|Buffer} content updates.json content
+   * @return {object}
+   */
+  parseUpdatesJson(content) {
+    try {
+      return JSON.parse(content.toString());
+    } catch (e) {
+      throw new Error(
+        `Unable to parse updates.json, it's not changed to prevent data ` +
+        `loss. Fix or remove it manually: ${e.message}`
+      );
+    }
+  }
+
+  //noinspection JSMethodCanBeStatic
+  /**
+   * Called by fetchUpdatesJson when updates.json doesn't exist on a hosting
+   * @return {object} empty updates.json
+   */
+  onUpdatesJsonMissing() {
+    console.warn(`updates.json doesn't exist yet. ${IGNORE_WARNING}`);
+    return {};
+  }
+
+  /**
+   * Check a file which is stored on a hosting. By default, this method just
+   * makes HEAD request to the file url
+   * @param {string} url
+   * @param {object|null} build A build which contains the file
+   * @param {string} fileName
+   * @return {Promise<{exists: boolean, size: number, status: string}>}
+   */
+  fetchFileInfo(url, build, fileName) {
+    return new Promise((resolve, reject) => {
+      const options = { url, method: 'HEAD', allowRedirects: true };
+      http.doRequest(options, (err, res) => {
+        if (err) {
+          return reject(err);
         }
+
+        const size = res.headers['content-length'];
+        resolve({
+          exists: res.statusCode === 200,
+          size: size === undefined ? undefined : Number(size),
+          status: `HTTP ${res.statusCode}`
+        });
       });
     });
   }
@@ -181,22 +328,197 @@ class AbstractTransport extends EventEmitter {
    * @return {Promise.<string>} Updates json url
    */
   updateUpdatesJson(build, data) {
+    return this.modifyUpdatesJson((json) => {
+      const buildId = this.getBuildId(build, false);
+      if (typeof data === 'object') {
+        const entry = Object.assign({}, data);
+        json[buildId] = addRolloutFallback(entry, json[buildId]);
+      } else {
+        if (json[buildId] && build.version === json[buildId].version) {
+          delete json[buildId];
+        }
+      }
+      return json;
+    });
+  }
+
+  /**
+   * Read updates.json, change it by the modify function and save it. If
+   * updates.json is changed by another publisher between reading and
+   * writing, the whole read-modify-write cycle is repeated.
+   * @param {Function} modify (json) => json
+   * @return {Promise.<string>} Updates json url
+   */
+  modifyUpdatesJson(modify) {
+    const update = () => {
+      return this.fetchUpdatesJsonRevision()
+        .then(({ data, revision }) => {
+          const json = modify(data || {});
+          // It will be recalculated while saving
+          delete json.signature;
+
+          return this.pushUpdatesJson(json, revision)
+            .then((url) => {
+              return this.pushUpdatesJsonSignature(json).then(() => url);
+            });
+        });
+    };
+
+    const attempt = (number) => {
+      return this.lockUpdatesJson()
+        .then((unlock) => {
+          return update().then(
+            url => unlock().then(() => url),
+            e => unlock().then(() => { throw e; })
+          );
+        })
+        .catch((e) => {
+          if (!e.conflict || number >= UPDATES_JSON_ATTEMPTS) {
+            throw e;
+          }
+
+          console.warn(
+            `updates.json has been changed by someone else, retrying ` +
+            `(attempt ${number + 1} of ${UPDATES_JSON_ATTEMPTS})`
+          );
+          return delay(500 * number + Math.random() * 500)
+            .then(() => attempt(number + 1));
+        });
+    };
+
+    return attempt(1);
+  }
+
+  /**
+   * Get updates.json content with its revision. The revision is passed to
+   * pushUpdatesJson which should reject with an error made by
+   * createConflictError if updates.json has been changed since then.
+   * By default there is no revision, so the transport should implement
+   * acquireUpdatesJsonLock instead
+   * @return {Promise<{data: object, revision: *}>}
+   */
+  fetchUpdatesJsonRevision() {
     return this.fetchUpdatesJson()
-      .then((json) => {
-        json = json || {};
-        const buildId = this.getBuildId(build, false);
-        if (typeof data === 'object') {
-          json[buildId] = data;
-        } else {
-          if (json[buildId] && build.version === json[buildId].version) {
-            delete json[buildId];
+      .then(data => ({ data, revision: undefined }));
+  }
+
+  /**
+   * Return previous versions of updates.json, if a hosting keeps them
+   * @return {Promise<Array<{id: string, date: Date, size: number,
+   *   isLatest: boolean}>>}
+   */
+  fetchUpdatesJsonVersions() {
+    return Promise.reject(new Error(
+      'This transport doesn\'t keep versions of updates.json'
+    ));
+  }
+
+  /**
+   * Get content of a version returned by fetchUpdatesJsonVersions
+   * @param {string} versionId
+   * @return {Promise<object>}
+   */
+  fetchUpdatesJsonVersion(versionId) {
+    return Promise.reject(new Error(
+      'This transport doesn\'t keep versions of updates.json'
+    ));
+  }
+
+  /**
+   * Wait until the updates.json lock is acquired
+   * @return {Promise<function(): Promise>} Function which releases the lock
+   */
+  lockUpdatesJson() {
+    const timeout = (this.options.lockTimeout || LOCK_TIMEOUT) * 1000;
+    const started = Date.now();
+
+    const tryLock = () => {
+      return this.acquireUpdatesJsonLock()
+        .then((acquired) => {
+          if (acquired) {
+            return () => this.releaseUpdatesJsonLock();
           }
-        }
-        return json;
-      })
-      .then((json) => {
-        return this.pushUpdatesJson(json);
-      });
+
+          if (Date.now() - started > timeout) {
+            throw new Error(
+              `updates.json is locked by another publisher for more than ` +
+              `${timeout / 1000}s. If no other publisher is running, remove ` +
+              `${this.getUpdatesJsonLockName()} from the hosting`
+            );
+          }
+
+          return delay(1000).then(tryLock);
+        });
+    };
+
+    return tryLock();
+  }
+
+  //noinspection JSMethodCanBeStatic
+  /**
+   * Try to create a lock which prevents concurrent updates.json changes.
+   * Transports which can't check updates.json revision create a lock
+   * atomically, like mkdir
+   * @return {Promise<boolean>} false if the lock is held by someone else
+   */
+  acquireUpdatesJsonLock() {
+    return Promise.resolve(true);
+  }
+
+  //noinspection JSMethodCanBeStatic
+  /**
+   * @return {Promise}
+   */
+  releaseUpdatesJsonLock() {
+    return Promise.resolve();
+  }
+
+  //noinspection JSMethodCanBeStatic
+  /**
+   * @return {string}
+   */
+  getUpdatesJsonLockName() {
+    return 'updates.json.lock';
+  }
+
+  //noinspection JSMethodCanBeStatic
+  /**
+   * Make an error which tells updateUpdatesJson that updates.json has been
+   * changed concurrently
+   * @param {string} message
+   * @return {Error}
+   */
+  createConflictError(message) {
+    const error = new Error(message);
+    error.conflict = true;
+    return error;
+  }
+
+  /**
+   * Convert updates.json data to a string which is saved on a hosting
+   * @param {object} data
+   * @return {string}
+   */
+  serializeUpdatesJson(data) {
+    return signature.serializeUpdatesJson(data, this.signing);
+  }
+
+  /**
+   * Save a detached signature of updates.json as updates.json.sig if
+   * the sign option is set
+   * @param {object} data updates.json content
+   * @return {Promise}
+   */
+  pushUpdatesJsonSignature(data) {
+    if (!this.signing || this.signing.embed) {
+      return Promise.resolve();
+    }
+
+    const content = this.serializeUpdatesJson(data);
+    return this.pushRootFile(
+      'updates.json.sig',
+      signature.sign(content, this.signing.privateKey)
+    );
   }
 
   /**
@@ -233,6 +555,34 @@ class AbstractTransport extends EventEmitter {
     return fileName.replace(/\s/g, '-');
   }
 
+  //noinspection JSMethodCanBeStatic
+  /**
+   * Return a hidden name in the same directory. A file is uploaded with this
+   * name and then renamed, so clients never get a partially uploaded file.
+   * The random part differs for each call, since builds published in
+   * parallel can push the same file at once
+   * @param {string} remotePath
+   * @return {string}
+   */
+  getTemporaryFilePath(remotePath) {
+    const suffix = `${process.pid}.${crypto.randomBytes(4).toString('hex')}`;
+    const name = `.${path.posix.basename(remotePath)}.${suffix}.tmp`;
+    return path.posix.join(path.posix.dirname(remotePath), name);
+  }
+
+  /**
+   * Return a location of the file on a hosting
+   * @param {string} localFilePath
+   * @param {object} build
+   * @return {string}
+   */
+  getRemoteFilePath(localFilePath, build) {
+    return path.posix.join(
+      this.getBuildId(build),
+      this.normalizeFileName(localFilePath)
+    );
+  }
+
   getFileUrl(localFilePath, build) {
     let url = this.options.remoteUrl;
     if (url.endsWith('/')) {
@@ -246,37 +596,71 @@ class AbstractTransport extends EventEmitter {
     ].join('/');
   }
 
-  setProgress(fileName, transferred, total) {
-    fileName = path.basename(fileName);
+  setProgress(filePath, transferred, total) {
     this.emit('progress', {
       transferred,
       total,
-      name: fileName
+      filePath,
+      name: path.basename(filePath)
     });
   }
 
+  //noinspection JSMethodCanBeStatic
+  /**
+   * How many files can be uploaded at the same time. Transports which
+   * can't do that through one connection return 1
+   * @return {number}
+   */
+  getMaxConcurrency() {
+    return Infinity;
+  }
+
   makeProgressStream(filePath) {
     const self = this;
     const totalSize = fs.statSync(filePath).size;
+    const checksums = createChecksums();
     let uploaded = 0;
 
     const transform = new Transform();
     transform._transform = function(chunk, enc, cb) {
       this.push(chunk);
       uploaded += chunk.length;
+      checksums.update(chunk);
       self.setProgress(filePath, uploaded, totalSize);
       cb();
     };
+    transform._flush = function(cb) {
+      self.checksums[filePath] = checksums.digest();
+      cb();
+    };
 
     return fs.createReadStream(filePath).pipe(transform);
   }
 
+  /**
+   * Return checksums and size of a local file. If the file has been
+   * uploaded through makeProgressStream, the result is already calculated
+   * @param {string} filePath
+   * @return {Promise<{sha256: string, sha512: string, size: number}>}
+   */
+  getFileChecksums(filePath) {
+    if (this.checksums[filePath]) {
+      return Promise.resolve(this.checksums[filePath]);
+    }
+
+    return hashFile(filePath)
+      .then((checksums) => {
+        this.checksums[filePath] = checksums;
+        return checksums;
+      });
+  }
+
   duplicateMetaFiles(filePath, build) {
     const buildId = this.getBuildId(build);
-    const archiveDirectory = [
-      this.commandOptions.path,
-      this.commandOptions['local-data']['archive-local-directory']
-    ].join('/');
+    const archiveDirectory = this.getArchiveDirectory();
+    if (!archiveDirectory) {
+      return;
+    }
 
     try {
       fs.mkdirSync(archiveDirectory);
@@ -294,22 +678,46 @@ class AbstractTransport extends EventEmitter {
   duplicateUpdatesJson(build, data) {
     // const buffer = Buffer.from(JSON.stringify(data, null, '  '), 'utf8');
     // const buildId = this.getBuildId(build);
-    const archiveDirectory = [
-      this.commandOptions.path,
-      this.commandOptions['local-data']['archive-local-directory']
-    ].join('/');
+    const archiveDirectory = this.getArchiveDirectory();
+    if (!archiveDirectory) {
+      return;
+    }
 
     fs.appendFileSync([archiveDirectory, 'updates.json'].join('/'), JSON.stringify(data, null, '  '));
   }
 
+  /**
+   * Return a local directory where copies of published files are stored,
+   * null if local-data.archive-local-directory option isn't set
+   * @return {string|null}
+   */
+  getArchiveDirectory() {
+    const localData = this.commandOptions['local-data'];
+    if (!localData || !localData['archive-local-directory']) {
+      return null;
+    }
+
+    return [
+      this.commandOptions.path,
+      localData['archive-local-directory']
+    ].join('/');
+  }
+
+  /**
+   * Compress files from the archive directory into tar.gz
+   * @param {object} build
+   * @return {Promise<string|null>} Path to the archive or null if the
+   *   archive directory isn't set
+   */
   compressReleases(build) {
+    const archiveDirectory = this.getArchiveDirectory();
+    if (!archiveDirectory) {
+      return Promise.resolve(null);
+    }
+
     console.log('Create a release archive ...');
     // compress files into tar.gz archive
     const buildId = this.getBuildId(build);
-    const archiveDirectory = [
-      this.commandOptions.path,
-      this.commandOptions['local-data']['archive-local-directory']
-    ].join('/');
     let releases = [];
     let buildIndex = (this.commandOptions.builds[buildId] ? buildId : 0);
     let buildAssets = this.commandOptions.builds[buildIndex].assets;
@@ -340,9 +748,29 @@ class AbstractTransport extends EventEmitter {
     });
   }
 
+  /**
+   * Upload an archive made by compressReleases to a hosting
+   * @abstract
+   * @param {string} filePath
+   * @return {Promise}
+   */
   uploadReleaseArchive(filePath) {
     throw new Error('Not implemented');
   }
+
+  /**
+   * Remove an archive uploaded by uploadReleaseArchive from a hosting
+   * @abstract
+   * @param {string} filePath Local path of the archive
+   * @return {Promise}
+   */
+  removeReleaseArchive(filePath) {
+    throw new Error('Not implemented');
+  }
 }
 
-module.exports = AbstractTransport;
\ No newline at end of file
+module.exports = AbstractTransport;
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
\ No newline at end of file
@@ -0,0 +1,75 @@
+'use strict';
+
+const { expect } = require('chai');
+const fs         = require('fs');
+const os         = require('os');
+const path       = require('path');
+
+const LocalTransport = require('./local');
+const TestTransport  = require('../../spec/test-transport');
+
+describe('AbstractTransport', () => {
+  it('should repeat updates.json update on a concurrent change', () => {
+    const transport = new TestTransport({
+      transport: { remoteUrl: 'http://example.com' }
+    });
+    const pushUpdatesJson = transport.pushUpdatesJson;
+    let attempts = 0;
+
+    transport.pushUpdatesJson = function (data, revision) {
+      attempts++;
+      if (attempts === 1) {
+        return Promise.reject(this.createConflictError('Changed'));
+      }
+      return pushUpdatesJson.call(this, data, revision);
+    };
+
+    const build = {
+      platform: 'linux',
+      arch: 'x64',
+      channel: 'prod',
+      version: '1.0.0'
+    };
+    return transport.updateUpdatesJson(build, { version: '1.0.0' })
+      .then(() => {
+        expect(attempts).to.equal(2);
+        expect(transport.updateFetches).to.equal(2);
+        expect(transport.updatePushes[0]['linux-x64-prod'])
+          .to.deep.equal({ version: '1.0.0' });
+      });
+  });
+
+  it('should make a hidden temporary path next to the target', () => {
+    const transport = new TestTransport({
+      transport: { remoteUrl: 'http://example.com' }
+    });
+
+    const tmpPath = transport.getTemporaryFilePath('/var/www/updates.json');
+    expect(tmpPath).to.match(
+      new RegExp(`^/var/www/\\.updates\\.json\\.${process.pid}\\.[0-9a-f]{8}\\.tmp$`)
+    );
+    expect(transport.getTemporaryFilePath('/var/www/updates.json'))
+      .to.not.equal(tmpPath);
+  });
+
+  it('should not acquire the lock twice', () => {
+    const outPath = path.join(os.tmpdir(), 'publisher-lock-test');
+    const transport = new LocalTransport({
+      transport: { outPath, remoteUrl: 'http://example.com' }
+    });
+
+    return transport.acquireUpdatesJsonLock()
+      .then((acquired) => {
+        expect(acquired).to.be.true;
+        return transport.acquireUpdatesJsonLock();
+      })
+      .then((acquired) => {
+        expect(acquired).to.be.false;
+        return transport.releaseUpdatesJsonLock();
+      })
+      .then(() => {
+        expect(fs.existsSync(transport.getLockPath())).to.be.false;
+        fs.rmdirSync(outPath);
+      });
+  });
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+const path     = require('path');
+const diffJson = require('../utils/diff-json');
+
+module.exports = enableDryRun;
+
+/**
+ * Replace all methods of the transport which change something on a hosting
+ * or in a local file system by stubs which only print what would be done.
+ * Read-only methods (like fetchUpdatesJson) keep working, so the output
+ * reflects the real state of the hosting.
+ *
+ * @param {AbstractTransport} transport
+ * @return {AbstractTransport}
+ */
+function enableDryRun(transport) {
+  const fetchUpdatesJson = transport.fetchUpdatesJson;
+
+  // updates.json as it would look after the previous simulated push
+  let updatesJson = null;
+
+  Object.assign(transport, {
+    beforeUpload(build) {
+      const assets = build.assets || {};
+      log(`Build ${this.getBuildId(build)}, resolved assets:`);
+      Object.keys(assets).forEach((name) => {
+        log(`  ${name}: ${assets[name]}`);
+      });
+      return Promise.resolve(build);
+    },
+
+    uploadFile(filePath, build) {
+      const url = this.getFileUrl(filePath, build);
+      log(
+        `Would upload ${filePath}\n` +
+        `  to  ${this.getRemoteFilePath(filePath, build)}\n` +
+        `  url ${url}`
+      );
+      return Promise.resolve(url);
+    },
+
+    fetchUpdatesJson() {
+      if (updatesJson) {
+        return Promise.resolve(JSON.parse(JSON.stringify(updatesJson)));
+      }
+
+      return fetchUpdatesJson.call(this);
+    },
+
+    fetchUpdatesJsonRevision() {
+      return this.fetchUpdatesJson()
+        .then(data => ({ data, revision: undefined }));
+    },
+
+    acquireUpdatesJsonLock() {
+      return Promise.resolve(true);
+    },
+
+    releaseUpdatesJsonLock() {
+      return Promise.resolve();
+    },
+
+    pushUpdatesJson(data) {
+      return this.fetchUpdatesJson()
+        .then((current) => {
+          log(`Would push ${this.getUpdatesJsonUrl()}:`);
+          log(diffJson(current, data));
+          updatesJson = data;
+          return this.getUpdatesJsonUrl();
+        });
+    },
+
+    pushRootFile(fileName, content) {
+      log(`Would push ${fileName}:\n${content}`);
+      return Promise.resolve();
+    },
+
+    copyBuild(fromBuild, toBuild) {
+      log(
+        `Would copy build ${this.getBuildId(fromBuild)} ` +
+        `to ${this.getBuildId(toBuild)}`
+      );
+      return Promise.resolve();
+    },
+
+    removeBuild(build) {
+      log(`Would remove build ${this.getBuildId(build)}`);
+      return Promise.resolve();
+    },
+
+    duplicateMetaFiles() {},
+
+    duplicateUpdatesJson() {},
+
+    compressReleases(build) {
+      const buildId = this.getBuildId(build);
+      return Promise.resolve(
+        path.join(this.commandOptions.path || '', `${buildId}.tar.gz`)
+      );
+    },
+
+    uploadReleaseArchive(filePath) {
+      log(`Would upload release archive ${filePath}`);
+      return Promise.resolve();
+    },
+
+    afterUpload() {
+      return Promise.resolve();
+    },
+
+    afterRemove() {
+      return Promise.resolve();
+    }
+  });
+
+  return transport;
+}
+
+function log(message) {
+  console.log('[dry-run] ' + message.split('\n').join('\n[dry-run] '));
+}
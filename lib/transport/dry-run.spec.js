@@ -0,0 +1,80 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon      = require('sinon');
+
+const enableDryRun  = require('./dry-run');
+const publish       = require('../commands/publish');
+const remove        = require('../commands/remove');
+const TestTransport = require('../../spec/test-transport');
+
+describe('Dry-run transport', () => {
+  let log;
+
+  beforeEach(() => {
+    log = sinon.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    log.restore();
+  });
+
+  it('should not upload assets', () => {
+    const build = getBuild();
+    const transport = enableDryRun(new TestTransport(getOptions()));
+
+    return publish.publishAssets(build, transport)
+      .then((assetUrls) => {
+        expect(transport.uploadFiles).to.be.empty;
+        expect(assetUrls.update).to.equal(
+          'http://example.com/win32-x64-prod-v1.0.0/test-1.0.0-full.nupkg'
+        );
+      });
+  });
+
+  it('should print updates.json diff instead of pushing it', () => {
+    const build = getBuild();
+    const transport = enableDryRun(new TestTransport(getOptions()));
+
+    return transport.updateUpdatesJson(build, { version: '1.0.0' })
+      .then(() => {
+        expect(transport.updatePushes).to.be.empty;
+
+        const output = log.args.map(args => args.join(' ')).join('\n');
+        expect(output).to.contain('[dry-run] -     "version": "0.0.1"');
+        expect(output).to.contain('[dry-run] +     "version": "1.0.0"');
+      });
+  });
+
+  it('should not remove a build', () => {
+    const options = getOptions();
+    options.transport.instance = enableDryRun(new TestTransport(options));
+
+    return remove(getBuild(), options)
+      .then(() => {
+        expect(options.transport.instance.removes).to.be.empty;
+        expect(options.transport.instance.updatePushes).to.be.empty;
+      });
+  });
+});
+
+function getOptions() {
+  return {
+    transport: { remoteUrl: 'http://example.com' },
+    updatesJsonUrl: 'http://example.com/updates.json',
+    dryRun: true
+  };
+}
+
+function getBuild() {
+  return {
+    platform: 'win32',
+    arch: 'x64',
+    channel: 'prod',
+    version: '1.0.0',
+    assets: {
+      update: '/tmp/dist/win/test-1.0.0-full.nupkg',
+      install: '/tmp/dist/win/Test Setup 1.0.0.exe'
+    }
+  };
+}
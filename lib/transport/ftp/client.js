@@ -34,6 +34,14 @@ class Client {
     return this.cwd(this.options.remotePath);
   }
 
+  mkDir(name) {
+    return new Promise((resolve, reject) => {
+      this.ftp.mkdir(name, (error) => {
+        error ? reject(error) : resolve()
+      });
+    });
+  }
+
   mkDirNoError(name) {
     return new Promise((resolve) => {
       this.ftp.mkdir(name, resolve);
@@ -48,9 +56,48 @@ class Client {
     });
   }
 
-  list() {
+  getContent(remotePath) {
+    return new Promise((resolve, reject) => {
+      this.ftp.get(remotePath, (error, stream) => {
+        if (error) {
+          return reject(error);
+        }
+
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('error', reject);
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+      });
+    });
+  }
+
+  size(remotePath) {
+    return new Promise((resolve, reject) => {
+      this.ftp.size(remotePath, (error, size) => {
+        error ? reject(error) : resolve(size)
+      });
+    });
+  }
+
+  remove(remotePath) {
+    return new Promise((resolve, reject) => {
+      this.ftp.delete(remotePath, (error) => {
+        error ? reject(error) : resolve()
+      });
+    });
+  }
+
+  rename(fromPath, toPath) {
+    return new Promise((resolve, reject) => {
+      this.ftp.rename(fromPath, toPath, (error) => {
+        error ? reject(error) : resolve()
+      });
+    });
+  }
+
+  list(remotePath = this.options.remotePath) {
     return new Promise((resolve, reject) => {
-      this.ftp.list(this.options.remotePath, (error, list) => {
+      this.ftp.list(remotePath, (error, list) => {
         error ? reject(error) : resolve(list)
       });
     });
@@ -46,20 +46,116 @@ class FtpTransport extends AbstractTransport {
       .then(() => this.ftp.cwdUpdatesRoot())
       .then(() => this.ftp.mkDirNoError(buildId))
       .then(() => this.ftp.cwd(buildId))
-      .then(() => this.ftp.putFile(fileStream, path.basename(filePath)))
+      .then(() => this.putFileAtomically(fileStream, path.basename(filePath)))
       .then(() => this.getFileUrl(filePath, build));
   }
 
+  /**
+   * FTP commands of one connection are executed in a queue and depend on
+   * the current directory, so parallel uploads would break each other
+   * @return {number}
+   */
+  getMaxConcurrency() {
+    return 1;
+  }
+
+  /**
+   * @return {Promise<object>}
+   */
+  fetchUpdatesJson() {
+    return this.q
+      .then(() => this.ftp.cwdUpdatesRoot())
+      .then(() => this.ftp.getContent('updates.json'))
+      .then((content) => {
+        return this.parseUpdatesJson(content);
+      }, (e) => {
+        // 550 Requested action not taken. File unavailable
+        if (e.code === 550) {
+          return this.onUpdatesJsonMissing();
+        }
+        throw e;
+      });
+  }
+
   /**
    * Save updates.json to a hosting
    * @return {Promise<string>} Url to updates.json
    */
   pushUpdatesJson(data) {
-    const buffer = Buffer.from(JSON.stringify(data, null, '  '), 'utf8');
+    return this.pushRootFile('updates.json', this.serializeUpdatesJson(data))
+      .then(() => this.getUpdatesJsonUrl());
+  }
+
+  /**
+   * @return {Promise}
+   */
+  pushRootFile(fileName, content) {
+    const buffer = Buffer.from(content, 'utf8');
     return this.q
       .then(() => this.ftp.cwdUpdatesRoot())
-      .then(() => this.ftp.putFile(buffer, 'updates.json'))
-      .then(() => this.getUpdatesJsonUrl());
+      .then(() => this.putFileAtomically(buffer, fileName));
+  }
+
+  /**
+   * Upload a file to the current directory with a temporary name and rename
+   * it over the target. Some servers don't allow to rename over an existing
+   * file, so only when a server replies that the file exists, the target is
+   * removed and rename is repeated
+   * @param {Buffer|ReadableStream} source
+   * @param {string} fileName
+   * @return {Promise}
+   */
+  putFileAtomically(source, fileName) {
+    const tmpName = this.getTemporaryFilePath(fileName);
+    let targetRemoved = false;
+
+    return this.ftp.putFile(source, tmpName)
+      .then(() => {
+        return this.ftp.rename(tmpName, fileName)
+          .catch((e) => {
+            if (!isFileExistsError(e)) {
+              throw e;
+            }
+
+            return this.ftp.remove(fileName)
+              .then(() => {
+                targetRemoved = true;
+                return this.ftp.rename(tmpName, fileName);
+              });
+          });
+      })
+      .catch((e) => {
+        if (targetRemoved) {
+          // The old file is already removed, so keep the uploaded one
+          throw new Error(
+            `Could not rename ${tmpName} to ${fileName}: ${e.message}`
+          );
+        }
+
+        return this.ftp.remove(tmpName)
+          .then(() => { throw e; }, () => { throw e; });
+      });
+  }
+
+  /**
+   * FTP can't create a file exclusively, but MKD fails if a directory
+   * exists, so the lock is a directory
+   * @return {Promise<boolean>}
+   */
+  acquireUpdatesJsonLock() {
+    return this.q
+      .then(() => this.ftp.cwdUpdatesRoot())
+      .then(() => this.ftp.mkDir(this.getUpdatesJsonLockName()))
+      .then(() => true, () => false);
+  }
+
+  /**
+   * @return {Promise}
+   */
+  releaseUpdatesJsonLock() {
+    return this.q
+      .then(() => this.ftp.cwdUpdatesRoot())
+      .then(() => this.ftp.rmDir(this.getUpdatesJsonLockName()));
   }
 
   /**
@@ -76,6 +172,60 @@ class FtpTransport extends AbstractTransport {
       });
   }
 
+  /**
+   * @return {Promise<Array<object>>}
+   */
+  fetchBuildsInfo() {
+    return this.q
+      .then(() => this.ftp.list())
+      .then((list) => {
+        return list
+          .filter(item => item.name.match(/^\w+-\w+-\w+-[\w.]+$/))
+          .map(item => ({ id: item.name, date: item.date }));
+      });
+  }
+
+  /**
+   * @return {Promise<object>}
+   */
+  fetchFileInfo(url, build, fileName) {
+    if (!build) {
+      return super.fetchFileInfo(url, build, fileName);
+    }
+
+    const remotePath = path.posix.join(
+      this.options.remotePath,
+      this.getBuildId(build),
+      fileName
+    );
+
+    return this.q
+      .then(() => this.ftp.size(remotePath))
+      .then((size) => {
+        return { exists: true, size, status: 'ftp' };
+      }, (e) => {
+        return { exists: false, status: e.message };
+      });
+  }
+
+  /**
+   * @return {Promise<Array<string>>}
+   */
+  fetchBuildFiles(build) {
+    const remotePath = path.posix.join(
+      this.options.remotePath,
+      this.getBuildId(build)
+    );
+
+    return this.q
+      .then(() => this.ftp.list(remotePath))
+      .then((list) => {
+        return list
+          .filter(item => item.type === '-' && item.name[0] !== '.')
+          .map(item => item.name);
+      });
+  }
+
   /**
    * @return {Promise}
    */
@@ -85,11 +235,44 @@ class FtpTransport extends AbstractTransport {
       .then(() => this.ftp.rmDir(buildId));
   }
 
+  getRemoteFilePath(localFilePath, build) {
+    return path.posix.join(
+      this.options.remotePath,
+      this.getBuildId(build),
+      path.basename(localFilePath)
+    );
+  }
+
   close() {
     this.ftp.close();
     return super.close();
   }
 
+  /**
+   * @return {Promise}
+   */
+  reconnect() {
+    try {
+      this.ftp.close();
+    } catch (e) {
+      // The connection is already closed
+    }
+    this.init();
+    return this.q;
+  }
+
+  /**
+   * 4xx replies of FTP are transient negative completion replies, like
+   * 421 Service not available or 426 Connection closed
+   * @param {Error} error
+   * @return {boolean}
+   */
+  isRetryableError(error) {
+    const code = error && error.code;
+    return (code >= 400 && code < 500) || super.isRetryableError(error) ||
+      /Not connected|Timed out/i.test(error && error.message || '');
+  }
+
   uploadReleaseArchive(filePath) {
     console.log('Upload release archive to hosting ...');
     try {
@@ -104,11 +287,28 @@ class FtpTransport extends AbstractTransport {
 
       return this.q
       .then(() => this.ftp.cwdUpdatesRoot())
-      .then(() => this.ftp.putFile(fileStream, path.basename(filePath)));
+      .then(() => this.putFileAtomically(fileStream, path.basename(filePath)));
     } catch (error) {
       console.error(error);
     }
   }
+
+  removeReleaseArchive(filePath) {
+    return this.q
+      .then(() => this.ftp.cwdUpdatesRoot())
+      .then(() => this.ftp.remove(path.basename(filePath)));
+  }
 }
 
-module.exports = FtpTransport;
\ No newline at end of file
+module.exports = FtpTransport;
+
+/**
+ * A reply to RNTO when a server doesn't allow to rename over an existing
+ * file, like 550 Cannot create a file when that file already exists
+ * @param {Error} error
+ * @return {boolean}
+ */
+function isFileExistsError(error) {
+  return Boolean(error) && (error.code === 550 || error.code === 553) &&
+    /exists/i.test(error.message);
+}
@@ -5,6 +5,8 @@ const url   = require('url');
 const path  = require('path');
 const fs    = require('fs');
 
+const { getContentTypeByFileName } = require('../../utils/content-type');
+
 class GithubApi {
   /**
    * @param {string} repository in format user-name/repo-name
@@ -17,6 +19,13 @@ class GithubApi {
     const repo = repository.replace('https://github.com/', '');
     this.owner = repo.split('/')[0];
     this.repo = repo.split('/')[1];
+
+    /**
+     * Promises of releases by tag, so files uploaded in parallel don't
+     * create the same release twice
+     * @type {Object<string, Promise<object>>}
+     */
+    this.releases = {};
   }
 
   request(route, data, reqOptions = {}) {
@@ -29,6 +38,10 @@ class GithubApi {
         let body = '';
         res.on('data', chunk => body += chunk);
         res.on('end', () => {
+          if (isTransientFailure(res, body)) {
+            return reject(createHttpError(res, body));
+          }
+
           let json;
           if (body) {
             try {
@@ -43,6 +56,12 @@ class GithubApi {
             json = { code: res.statusCode };
           }
 
+          // Let a caller distinguish errors, like 409 Conflict
+          if (res.statusCode >= 400 && json && !Array.isArray(json) &&
+            json.code === undefined) {
+            json.code = res.statusCode;
+          }
+
           if (this.verbose) {
             console.info(json);
           }
@@ -109,6 +128,41 @@ class GithubApi {
     return options;
   }
 
+  /**
+   * @param {string} tag
+   * @param {string} [body]
+   * @return {Promise<object>}
+   */
+  getOrCreateRelease(tag, body) {
+    if (this.releases[tag]) {
+      return this.releases[tag];
+    }
+
+    this.releases[tag] = this.request(
+      'GET /repos/:owner/:repo/releases/tags/:tag',
+      { _tag: tag }
+    )
+      .then((result) => {
+        if (result && result.tag_name) {
+          return result;
+        }
+        const params = {
+          tag_name: tag,
+          name: tag
+        };
+        if (body) {
+          params.body = body;
+        }
+        return this.request('POST /repos/:owner/:repo/releases', params);
+      })
+      .catch((e) => {
+        delete this.releases[tag];
+        throw e;
+      });
+
+    return this.releases[tag];
+  }
+
   /**
    * Upload a file to Github Releases
    *
@@ -116,24 +170,14 @@ class GithubApi {
    * @param {string} filePath
    * @param {string} tag
    * @param {Function} onProgress
+   * @param {string} [body] Release notes, used when a release is created
    * @return {Promise.<string>}
    */
-  releaseFile(filePath, tag, onProgress) {
+  releaseFile(filePath, tag, onProgress, body) {
     const fileName = path.basename(filePath);
     let uploadUrl;
 
-    return this.request('GET /repos/:owner/:repo/releases/tags/:tag', { _tag:
-      tag
-    })
-      .then((result) => {
-        if (result && result.tag_name) {
-          return result;
-        }
-        return this.request('POST /repos/:owner/:repo/releases', {
-          tag_name: tag,
-          name: tag
-        });
-      })
+    return this.getOrCreateRelease(tag, body)
       .then((result) => {
         if (!result.upload_url) {
           throw new Error(
@@ -189,20 +233,36 @@ class GithubApi {
 
 module.exports = GithubApi;
 
-function getContentTypeByFileName(fileName) {
-  const name = path.basename(fileName).toLowerCase();
-  const ext = path.extname(fileName).toLowerCase();
-
-  switch(ext) {
-    case '.json': return 'application/json';
-    case '.dmg': return 'application/x-apple-diskimage';
-    case '.zip': return 'application/zip';
-    case '.exe': return 'application/x-msdownload';
-    case '.nupkg': return 'application/zip';
-    case '.appimage': return 'application/x-executable';
-    case '.deb': return 'application/vnd.debian.binary-package';
-    case '.rmp': return 'application/x-xz';
-    case '': return name === 'releases' ? 'text/plain' : 'application/octet-stream';
-    default: return 'application/octet-stream';
+/**
+ * 5xx responses and secondary rate limits, the request can be repeated later
+ * @param {http.IncomingMessage} res
+ * @param {string} body
+ * @return {boolean}
+ */
+function isTransientFailure(res, body) {
+  if (res.statusCode >= 500) {
+    return true;
   }
-}
\ No newline at end of file
+
+  return (res.statusCode === 403 || res.statusCode === 429) &&
+    (Boolean(res.headers['retry-after']) || /secondary rate limit/i.test(body));
+}
+
+function createHttpError(res, body) {
+  let message = body;
+  try {
+    message = JSON.parse(body).message || body;
+  } catch (e) {
+    // GitHub can respond with an html page on 5xx errors
+  }
+
+  const error = new Error(
+    `GitHub responded with ${res.statusCode}: ${String(message).slice(0, 200)}`
+  );
+  error.statusCode = res.statusCode;
+  error.retryable = true;
+  // GitHub asks to wait at least a minute after a secondary rate limit
+  error.retryAfter = Number(res.headers['retry-after']) ||
+    (res.statusCode < 500 ? 60 : 0);
+  return error;
+}
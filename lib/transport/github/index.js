@@ -61,28 +61,110 @@ class GithubTransport extends AbstractTransport {
   uploadFile(filePath, build) {
     const name = this.getBuildId(build);
     const size = fs.statSync(filePath).size;
-    return this.githubApi.releaseFile(filePath, name, (transferred) => {
+    const onProgress = (transferred) => {
       this.setProgress(filePath, transferred, size)
-    });
+    };
+    return this.githubApi.releaseFile(
+      filePath,
+      name,
+      onProgress,
+      build.releaseNotes
+    );
+  }
+
+  /**
+   * @return {Promise<object>}
+   */
+  fetchUpdatesJson() {
+    return this.fetchUpdatesJsonRevision()
+      .then(({ data }) => data);
+  }
+
+  /**
+   * Read updates.json from the repository, its blob sha is a revision
+   * @return {Promise<{data: object, revision: string|null}>}
+   */
+  fetchUpdatesJsonRevision() {
+    const updatesJsonPath = this.getUpdatesJsonPath();
+
+    return this.api('GET /repos/:owner/:repo/contents/:path', {
+      _path: updatesJsonPath
+    })
+      .then((res) => {
+        if (res.code === 404) {
+          return { data: this.onUpdatesJsonMissing(), revision: null };
+        }
+
+        if (!res.sha) {
+          throw new Error(
+            `Could not get ${updatesJsonPath}: ${res.message || res.code}`
+          );
+        }
+
+        // The contents api doesn't return content of files larger than 1MB
+        const content = res.encoding === 'base64'
+          ? Promise.resolve(res.content)
+          : this.api('GET /repos/:owner/:repo/git/blobs/:sha', { _sha: res.sha })
+            .then(blob => blob.content);
+
+        return content.then((base64) => {
+          return {
+            data: this.parseUpdatesJson(Buffer.from(base64, 'base64')),
+            revision: res.sha
+          };
+        });
+      });
   }
 
   /**
    * Push a updates.json
    * @return {Promise<string>} Url to updates.json
    */
-  pushUpdatesJson(data) {
+  pushUpdatesJson(data, revision) {
+    const jsonString = this.serializeUpdatesJson(data);
+
+    return this.commitFile(this.getUpdatesJsonPath(), jsonString, revision)
+      .then(() => this.getUpdatesJsonUrl());
+  }
+
+  /**
+   * Commit a file to the same directory where updates.json is stored
+   * @return {Promise}
+   */
+  pushRootFile(fileName, content) {
+    const commitPath = path.posix.join(
+      path.posix.dirname(this.getUpdatesJsonPath()),
+      fileName
+    );
+    return this.commitFile(commitPath, content);
+  }
+
+  getUpdatesJsonPath() {
     let commitPath = this.options.updatesJsonPath || 'updates.json';
     if (commitPath.startsWith('/')) {
       commitPath = commitPath.substring(1);
     }
+    return commitPath;
+  }
 
+  /**
+   * @param {string} commitPath
+   * @param {string} content
+   * @param {string|null} [revision] Expected sha of the current file, null
+   *   if the file shouldn't exist. GitHub rejects the commit if it differs
+   * @return {Promise}
+   */
+  commitFile(commitPath, content, revision) {
     //noinspection ES6ModulesDependencies,NodeModulesDependencies
-    const jsonString = JSON.stringify(data, null, '  ');
-    const base64Data = new Buffer(jsonString).toString('base64');
+    const base64Data = Buffer.from(content).toString('base64');
 
-    return this.api('GET /repos/:owner/:repo/contents/:path ', {
+    const current = revision === undefined
+      ? this.api('GET /repos/:owner/:repo/contents/:path ', {
         _path: commitPath
       })
+      : Promise.resolve({ sha: revision });
+
+    return current
       .then((res) => {
         const params = {
           _path:   commitPath,
@@ -95,12 +177,18 @@ class GithubTransport extends AbstractTransport {
         }
         return this.api('PUT /repos/:owner/:repo/contents/:path', params);
       })
-      .then(({ commit }) => {
-        if (commit) {
-          return this.getUpdatesJsonUrl();
-        } else {
-          throw new Error('Could not commit updates.json');
+      .then((res) => {
+        if (res.commit) {
+          return;
+        }
+
+        if (revision !== undefined && (res.code === 409 || res.code === 422)) {
+          throw this.createConflictError(
+            `${commitPath} has been changed by someone else: ${res.message}`
+          );
         }
+
+        throw new Error(`Could not commit ${commitPath}`);
       });
   }
 
@@ -108,8 +196,81 @@ class GithubTransport extends AbstractTransport {
    * @return {Promise<Array<string>>}
    */
   fetchBuildsList() {
-    return this.api('GET /repos/:owner/:repo/releases')
-      .then(res => res.length ? res.map(r => r.tag_name) : []);
+    return this.fetchReleases()
+      .then(releases => releases.map(r => r.tag_name));
+  }
+
+  /**
+   * @return {Promise<Array<object>>}
+   */
+  fetchBuildsInfo() {
+    return this.fetchReleases()
+      .then((releases) => {
+        return releases.map(release => ({
+          id: release.tag_name,
+          date: new Date(release.published_at || release.created_at)
+        }));
+      });
+  }
+
+  /**
+   * Fetch all releases page by page, since GitHub returns only 30 releases
+   * by default
+   * @param {number} [page]
+   * @return {Promise<Array<object>>}
+   */
+  fetchReleases(page = 1) {
+    return this.api(
+      'GET /repos/:owner/:repo/releases?per_page=100&page=:page',
+      { _page: page }
+    )
+      .then((res) => {
+        if (!Array.isArray(res) || !res.length) {
+          return [];
+        }
+
+        if (res.length < 100) {
+          return res;
+        }
+
+        return this.fetchReleases(page + 1)
+          .then(next => res.concat(next));
+      });
+  }
+
+  /**
+   * @return {Promise<object>}
+   */
+  fetchFileInfo(url, build, fileName) {
+    if (!build) {
+      return super.fetchFileInfo(url, build, fileName);
+    }
+
+    const tag = this.getBuildId(build);
+
+    return this.api('GET /repos/:owner/:repo/releases/tags/:tag', { _tag: tag })
+      .then((res) => {
+        const asset = (res.assets || []).find(a => a.name === fileName);
+        if (!asset) {
+          return { exists: false, status: `not found in release ${tag}` };
+        }
+
+        return {
+          exists: asset.state === 'uploaded',
+          size: asset.size,
+          status: `github ${asset.state}`
+        };
+      });
+  }
+
+  /**
+   * @return {Promise<Array<string>>}
+   */
+  fetchBuildFiles(build) {
+    const tag = this.getBuildId(build);
+
+    return this.api('GET /repos/:owner/:repo/releases/tags/:tag', { _tag: tag })
+      .then(res => (res.assets || []).map(asset => asset.name));
   }
 
   /**
@@ -117,6 +278,7 @@ class GithubTransport extends AbstractTransport {
    */
   removeBuild(build) {
     const tag = this.getBuildId(build);
+    delete this.githubApi.releases[tag];
 
     return this.api('GET /repos/:owner/:repo/releases/tags/:tag', { _tag: tag })
 
@@ -146,6 +308,20 @@ class GithubTransport extends AbstractTransport {
       });
   }
 
+  getRemoteFilePath(localFilePath, build) {
+    return `releases/${this.getBuildId(build)}/${path.basename(localFilePath)}`;
+  }
+
+  getFileUrl(localFilePath, build) {
+    // Github replaces spaces in asset names with dots
+    const name = path.basename(localFilePath).replace(/\s/g, '.');
+    return [
+      `https://github.com/${this.owner}/${this.repo}/releases/download`,
+      this.getBuildId(build),
+      encodeURIComponent(name)
+    ].join('/');
+  }
+
   api(route, data = {}) {
     return this.githubApi.request(route, data);
   }
@@ -26,18 +26,78 @@ class LocalTransport extends AbstractTransport {
       .then(() => this.getFileUrl(filePath, build));
   }
 
+  /**
+   * @return {Promise<object>}
+   */
+  fetchUpdatesJson() {
+    const filePath = path.join(this.options.outPath, 'updates.json');
+    let content;
+
+    try {
+      content = fs.readFileSync(filePath);
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return Promise.resolve(this.onUpdatesJsonMissing());
+      }
+      return Promise.reject(e);
+    }
+
+    try {
+      return Promise.resolve(this.parseUpdatesJson(content));
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  }
+
   /**
    * Save updates.json to a hosting
    * @return {Promise<string>} Url to updates.json
    */
   pushUpdatesJson(data) {
-    const outPath = path.join(this.options.outPath, 'updates.json');
+    return this.pushRootFile('updates.json', this.serializeUpdatesJson(data));
+  }
+
+  /**
+   * @return {Promise}
+   */
+  pushRootFile(fileName, content) {
+    const outPath = path.join(this.options.outPath, fileName);
+    mkdirp(this.options.outPath);
+
+    fs.writeFileSync(outPath, content);
+    return Promise.resolve();
+  }
+
+  /**
+   * Create the lock file exclusively
+   * @return {Promise<boolean>}
+   */
+  acquireUpdatesJsonLock() {
     mkdirp(this.options.outPath);
 
-    fs.writeFileSync(outPath, JSON.stringify(data, null, '  '));
+    try {
+      fs.closeSync(fs.openSync(this.getLockPath(), 'wx'));
+      return Promise.resolve(true);
+    } catch (e) {
+      if (e.code === 'EEXIST') {
+        return Promise.resolve(false);
+      }
+      return Promise.reject(e);
+    }
+  }
+
+  /**
+   * @return {Promise}
+   */
+  releaseUpdatesJsonLock() {
+    fs.unlinkSync(this.getLockPath());
     return Promise.resolve();
   }
 
+  getLockPath() {
+    return path.join(this.options.outPath, this.getUpdatesJsonLockName());
+  }
+
   /**
    * @return {Promise<Array<string>>}
    */
@@ -56,6 +116,77 @@ class LocalTransport extends AbstractTransport {
     return Promise.resolve(builds);
   }
 
+  /**
+   * @return {Promise<Array<object>>}
+   */
+  fetchBuildsInfo() {
+    return this.fetchBuildsList()
+      .then((ids) => {
+        return ids.map((id) => {
+          const stat = fs.statSync(path.join(this.options.outPath, id));
+          return { id, date: stat.mtime };
+        });
+      });
+  }
+
+  /**
+   * @return {Promise<object>}
+   */
+  fetchFileInfo(url, build, fileName) {
+    if (!build) {
+      return super.fetchFileInfo(url, build, fileName);
+    }
+
+    const filePath = path.join(
+      this.options.outPath,
+      this.getBuildId(build),
+      fileName
+    );
+
+    if (!fs.existsSync(filePath)) {
+      return Promise.resolve({ exists: false, status: 'not found' });
+    }
+
+    return Promise.resolve({
+      exists: true,
+      size: fs.statSync(filePath).size,
+      status: 'file'
+    });
+  }
+
+  /**
+   * @return {Promise<Array<string>>}
+   */
+  fetchBuildFiles(build) {
+    const buildPath = path.join(this.options.outPath, this.getBuildId(build));
+    let files;
+    try {
+      files = fs.readdirSync(buildPath);
+    } catch (e) {
+      files = [];
+    }
+
+    return Promise.resolve(files);
+  }
+
+  canCopyBuild() {
+    return true;
+  }
+
+  /**
+   * @return {Promise}
+   */
+  copyBuild(fromBuild, toBuild) {
+    const fromPath = path.join(this.options.outPath, this.getBuildId(fromBuild));
+    const toPath = path.join(this.options.outPath, this.getBuildId(toBuild));
+
+    return fs.readdirSync(fromPath).reduce((promise, file) => {
+      return promise.then(() => {
+        return copyFile(path.join(fromPath, file), path.join(toPath, file));
+      });
+    }, Promise.resolve());
+  }
+
   /**
    * @return {Promise}
    */
@@ -65,6 +196,10 @@ class LocalTransport extends AbstractTransport {
     return Promise.resolve();
   }
 
+  getRemoteFilePath(localFilePath, build) {
+    return this.getOutFilePath(localFilePath, build);
+  }
+
   getOutFilePath(localFilePath, build) {
     localFilePath = path.basename(localFilePath);
     return path.posix.join(
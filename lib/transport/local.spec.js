@@ -0,0 +1,52 @@
+'use strict';
+
+const { expect } = require('chai');
+const fs         = require('fs');
+const os         = require('os');
+const path       = require('path');
+
+const LocalTransport = require('./local');
+
+describe('LocalTransport', () => {
+  const outPath = path.join(os.tmpdir(), 'publisher-local-test');
+  const updatesJsonPath = path.join(outPath, 'updates.json');
+  let transport;
+
+  beforeEach(() => {
+    transport = new LocalTransport({
+      transport: { outPath, remoteUrl: 'http://example.com' }
+    });
+    fs.mkdirSync(outPath, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(outPath, { recursive: true, force: true });
+  });
+
+  it('should read updates.json from the file system', () => {
+    fs.writeFileSync(updatesJsonPath, '{ "linux-x64-prod": {} }');
+
+    return transport.fetchUpdatesJson()
+      .then((json) => {
+        expect(json).to.deep.equal({ 'linux-x64-prod': {} });
+      });
+  });
+
+  it('should return an empty object if updates.json does not exist', () => {
+    return transport.fetchUpdatesJson()
+      .then((json) => {
+        expect(json).to.deep.equal({});
+      });
+  });
+
+  it('should fail if updates.json is broken', () => {
+    fs.writeFileSync(updatesJsonPath, '{ "linux-x64-prod": ');
+
+    return transport.fetchUpdatesJson()
+      .then(() => {
+        throw new Error('fetchUpdatesJson should fail');
+      }, (e) => {
+        expect(e.message).to.contain('Unable to parse updates.json');
+      });
+  });
+});
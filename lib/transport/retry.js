@@ -0,0 +1,69 @@
+'use strict';
+
+const { retry } = require('../utils/retry');
+
+module.exports = enableRetries;
+module.exports.RETRY_METHODS = [
+  'uploadFile',
+  'pushUpdatesJson',
+  'removeBuild',
+  'fetchBuildsList'
+];
+
+/**
+ * Wrap transport operations, so they are repeated with an exponential
+ * backoff if they fail because of a network error, a 5xx response or
+ * throttling. The transport re-connects before every retry.
+ *
+ * transport.retries (3 by default) and transport.retryDelay (1000 ms by
+ * default) options configure it.
+ *
+ * @param {AbstractTransport} transport
+ * @return {AbstractTransport}
+ */
+function enableRetries(transport) {
+  const options = transport.options;
+  const retries = validateNumber(options.retries, 3, 'retries');
+  const delay = validateNumber(options.retryDelay, 1000, 'retryDelay');
+
+  if (retries === 0) {
+    return transport;
+  }
+
+  module.exports.RETRY_METHODS.forEach((name) => {
+    const method = transport[name];
+
+    transport[name] = function(...args) {
+      return retry(() => method.apply(this, args), {
+        retries,
+        delay,
+        isRetryable: e => transport.isRetryableError(e),
+        onRetry: (e, number, ms) => {
+          console.warn(
+            `${name} failed: ${e.message || e}. ` +
+            `Retry ${number}/${retries} in ${Math.round(ms / 1000)}s`
+          );
+        },
+        // The instance is re-connected, not an object inherited from it
+        // by a transaction
+        beforeRetry: () => transport.reconnect()
+      });
+    };
+  });
+
+  return transport;
+}
+
+function validateNumber(value, defaultValue, name) {
+  if (value === undefined) {
+    return defaultValue;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(
+      `transport.${name} should be a non-negative integer, got ${value}`
+    );
+  }
+  return number;
+}
@@ -0,0 +1,112 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon      = require('sinon');
+
+const enableRetries = require('./retry');
+const TestTransport = require('../../spec/test-transport');
+
+describe('Retry transport', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = sinon.stub(console, 'warn');
+  });
+
+  afterEach(() => {
+    warn.restore();
+  });
+
+  it('should repeat an upload after a network error and re-connect', () => {
+    const transport = new TestTransport(getOptions());
+    const uploadFile = transport.uploadFile;
+    let reconnects = 0;
+    let attempts = 0;
+
+    transport.reconnect = () => {
+      reconnects++;
+      return Promise.resolve();
+    };
+    transport.uploadFile = function(filePath, build) {
+      attempts++;
+      if (attempts === 1) {
+        const error = new Error('socket hang up');
+        error.code = 'ECONNRESET';
+        return Promise.reject(error);
+      }
+      return uploadFile.call(this, filePath, build);
+    };
+
+    enableRetries(transport);
+
+    return transport.uploadFile('/tmp/test.exe', getBuild())
+      .then((url) => {
+        expect(url).to.equal('http://example.com/win32-x64-prod-v1.0.0/test.exe');
+        expect(attempts).to.equal(2);
+        expect(reconnects).to.equal(1);
+        expect(warn.calledOnce).to.be.true;
+      });
+  });
+
+  it('should not repeat an operation after a permanent error', () => {
+    const transport = new TestTransport(getOptions());
+    let attempts = 0;
+
+    transport.removeBuild = () => {
+      attempts++;
+      const error = new Error('Access Denied');
+      error.statusCode = 403;
+      return Promise.reject(error);
+    };
+
+    enableRetries(transport);
+
+    return transport.removeBuild(getBuild())
+      .then(() => {
+        throw new Error('removeBuild should fail');
+      }, (e) => {
+        expect(e.message).to.equal('Access Denied');
+        expect(attempts).to.equal(1);
+      });
+  });
+
+  it('should give up after transport.retries attempts', () => {
+    const transport = new TestTransport(getOptions({ retries: 2 }));
+    let attempts = 0;
+
+    transport.fetchBuildsList = () => {
+      attempts++;
+      const error = new Error('Service Unavailable');
+      error.statusCode = 503;
+      return Promise.reject(error);
+    };
+
+    enableRetries(transport);
+
+    return transport.fetchBuildsList()
+      .then(() => {
+        throw new Error('fetchBuildsList should fail');
+      }, (e) => {
+        expect(e.message).to.equal('Service Unavailable');
+        expect(attempts).to.equal(3);
+      });
+  });
+});
+
+function getOptions(transport = {}) {
+  return {
+    transport: Object.assign({
+      remoteUrl: 'http://example.com',
+      retryDelay: 1
+    }, transport)
+  };
+}
+
+function getBuild() {
+  return {
+    platform: 'win32',
+    arch: 'x64',
+    channel: 'prod',
+    version: '1.0.0'
+  };
+}
@@ -0,0 +1,121 @@
+'use strict';
+
+const { expect } = require('chai');
+const fs         = require('fs');
+const os         = require('os');
+const path       = require('path');
+const sinon      = require('sinon');
+
+const S3Transport = require('./s3');
+
+const MB = 1024 * 1024;
+
+/**
+ * Runs only when MINIO_ENDPOINT is set, like
+ * MINIO_ENDPOINT=http://localhost:9000 npm run test:minio
+ */
+describe('S3Transport with MinIO', function () {
+  const endpoint = process.env.MINIO_ENDPOINT;
+  const filePath = path.join(os.tmpdir(), 'publisher-minio.bin');
+  const statePath = path.join(os.tmpdir(), 'publisher-minio.json');
+  const build = {
+    platform: 'linux',
+    arch: 'x64',
+    channel: 'prod',
+    version: '1.0.0'
+  };
+  let log;
+
+  this.timeout(60000);
+
+  before(function () {
+    if (!endpoint) {
+      this.skip();
+    }
+  });
+
+  beforeEach(() => {
+    log = sinon.stub(console, 'log');
+    // 3 parts of the minimal 5MB part size
+    fs.writeFileSync(filePath, Buffer.alloc(11 * MB, 'a'));
+  });
+
+  afterEach(() => {
+    log.restore();
+    fs.unlinkSync(filePath);
+    if (fs.existsSync(statePath)) {
+      fs.unlinkSync(statePath);
+    }
+    return createTransport().removeBuild(build).catch(() => {});
+  });
+
+  it('should upload a large file by parts', () => {
+    const transport = createTransport();
+
+    return transport.uploadFile(filePath, build)
+      .then(() => {
+        return transport.fetchFileInfo(null, build, 'publisher-minio.bin');
+      })
+      .then((info) => {
+        expect(info.exists).to.be.true;
+        expect(info.size).to.equal(11 * MB);
+      });
+  });
+
+  it('should resume a failed multipart upload', () => {
+    const transport = createTransport();
+    const uploadPart = transport.s3.uploadPart.bind(transport.s3);
+    const uploadedParts = [];
+
+    transport.s3.uploadPart = (params) => {
+      if (params.PartNumber === 2) {
+        params.Body.destroy();
+        return {
+          on() { return this; },
+          promise: () => Promise.reject(new Error('Connection lost'))
+        };
+      }
+      return uploadPart(params);
+    };
+
+    return transport.uploadFile(filePath, build)
+      .then(() => {
+        throw new Error('uploadFile should fail');
+      }, (e) => {
+        expect(e.message).to.equal('Connection lost');
+
+        const resumed = createTransport();
+        const resumedUploadPart = resumed.s3.uploadPart.bind(resumed.s3);
+        resumed.s3.uploadPart = (params) => {
+          uploadedParts.push(params.PartNumber);
+          return resumedUploadPart(params);
+        };
+        return resumed.uploadFile(filePath, build);
+      })
+      .then(() => {
+        expect(uploadedParts).to.deep.equal([2, 3]);
+        return transport.fetchFileInfo(null, build, 'publisher-minio.bin');
+      })
+      .then((info) => {
+        expect(info.size).to.equal(11 * MB);
+      });
+  });
+
+  function createTransport() {
+    return new S3Transport({
+      transport: {
+        provider: 'minio',
+        endpoint,
+        region: process.env.MINIO_REGION || 'us-east-1',
+        accessKeyId: process.env.MINIO_ACCESS_KEY || 'minioadmin',
+        secretAccessKey: process.env.MINIO_SECRET_KEY || 'minioadmin',
+        bucket: process.env.MINIO_BUCKET || 'publisher-test',
+        remoteUrl: 'http://example.com',
+        multipartThreshold: 5 * MB,
+        multipartPartSize: 5 * MB,
+        multipartConcurrency: 1,
+        multipartStatePath: statePath
+      }
+    });
+  }
+});
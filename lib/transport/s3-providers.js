@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * Settings of S3-compatible storages
+ *
+ * endpoint       - endpoint template, {region} and {accountId} are replaced
+ * region         - default region
+ * forcePathStyle - use {endpoint}/{bucket} urls for API requests
+ * publicUrl      - template of a file url, see fillTemplate
+ * acl            - whether object ACLs are supported
+ * bucketCreation - aws: createBucket with all bucket options and a region,
+ *                  simple: only a bucket name, none: a bucket should exist
+ */
+const PROVIDERS = {
+  aws: {
+    // Urls are made from the SDK endpoint for backward compatibility
+    publicUrl: null,
+    acl: true,
+    bucketCreation: 'aws'
+  },
+  minio: {
+    forcePathStyle: true,
+    publicUrl: '{endpoint}/{bucket}/{key}',
+    acl: true,
+    bucketCreation: 'simple'
+  },
+  digitalocean: {
+    endpoint: 'https://{region}.digitaloceanspaces.com',
+    region: 'nyc3',
+    publicUrl: 'https://{bucket}.{region}.digitaloceanspaces.com/{key}',
+    acl: true,
+    bucketCreation: 'simple'
+  },
+  backblaze: {
+    endpoint: 'https://s3.{region}.backblazeb2.com',
+    region: 'us-west-004',
+    publicUrl: 'https://{bucket}.s3.{region}.backblazeb2.com/{key}',
+    // Files are public or private according to the bucket type
+    acl: false,
+    bucketCreation: 'none'
+  },
+  wasabi: {
+    endpoint: 'https://s3.{region}.wasabisys.com',
+    region: 'us-east-1',
+    publicUrl: 'https://s3.{region}.wasabisys.com/{bucket}/{key}',
+    acl: true,
+    bucketCreation: 'simple'
+  },
+  r2: {
+    endpoint: 'https://{accountId}.r2.cloudflarestorage.com',
+    region: 'auto',
+    forcePathStyle: true,
+    // R2 files are public only through r2.dev or a custom domain, so
+    // publicUrl should be set explicitly
+    publicUrl: null,
+    acl: false,
+    bucketCreation: 'simple'
+  }
+};
+
+module.exports.getProvider = getProvider;
+module.exports.fillTemplate = fillTemplate;
+
+/**
+ * @param {string} [name=aws]
+ * @return {object}
+ */
+function getProvider(name = 'aws') {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(
+      `Unknown transport.provider ${name}, supported providers are ` +
+      Object.keys(PROVIDERS).join(', ')
+    );
+  }
+  return Object.assign({ name }, provider);
+}
+
+/**
+ * Replace {name} placeholders by values. Throws if a value is missed.
+ * @param {string} template
+ * @param {object} values
+ * @param {string} optionName Used in an error message
+ * @return {string}
+ */
+function fillTemplate(template, values, optionName) {
+  return template.replace(/{(\w+)}/g, (match, name) => {
+    if (values[name] === undefined || values[name] === null) {
+      throw new Error(
+        `The transport.${name} option is required to make ${optionName}`
+      );
+    }
+    return values[name];
+  });
+}
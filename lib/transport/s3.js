@@ -5,6 +5,41 @@ const path = require('path');
 const AWS  = require('aws-sdk');
 
 const AbstractTransport = require('./abstract');
+const UploadState       = require('../utils/upload-state');
+
+const { getProvider, fillTemplate } = require('./s3-providers');
+
+const { mapLimit }                 = require('../utils/concurrency');
+const { getContentTypeByFileName } = require('../utils/content-type');
+
+const MB = 1024 * 1024;
+const MIN_PART_SIZE = 5 * MB;
+const MAX_PARTS = 10000;
+const MAX_DELETE_KEYS = 1000;
+
+/**
+ * Names of metadata rule fields and matching putObject parameters
+ */
+const METADATA_FIELDS = {
+  acl: 'ACL',
+  cacheControl: 'CacheControl',
+  contentType: 'ContentType',
+  storageClass: 'StorageClass',
+  serverSideEncryption: 'ServerSideEncryption',
+  sseKmsKeyId: 'SSEKMSKeyId'
+};
+
+/**
+ * Metadata rules by a file kind. updates.json and other root files are
+ * changed on each publishing, so they shouldn't be cached by a CDN
+ */
+const METADATA_DEFAULTS = {
+  default: { acl: 'public-read' },
+  updatesJson: { cacheControl: 'no-cache' },
+  rootFiles: { cacheControl: 'no-cache' },
+  releaseJson: { cacheControl: 'no-cache' },
+  assets: {}
+};
 
 class S3Transport extends AbstractTransport {
   /**
@@ -14,6 +49,23 @@ class S3Transport extends AbstractTransport {
    * @param {string} [options.pathPrefix='']
    * @param {Object} [options.aws]
    * @param {string|Object} [options.bucket]
+   * @param {number} [options.multipartThreshold=64MB]
+   * @param {number} [options.multipartPartSize=16MB]
+   * @param {number} [options.multipartConcurrency=4]
+   * @param {string} [options.multipartStatePath]
+   * @param {Object} [options.metadata] Rules by a file kind: default,
+   *   updatesJson, rootFiles, releaseJson and assets
+   * @param {boolean} [options.purgeVersions] Remove all versions of build
+   *   files in a versioned bucket instead of adding delete markers
+   * @param {boolean} [options.allowObjectLock] Publish even if the bucket
+   *   has a default object lock retention
+   * @param {string} [options.provider=aws] aws, minio, digitalocean,
+   *   backblaze, wasabi or r2
+   * @param {string} [options.region]
+   * @param {string} [options.endpoint] Overrides an endpoint of the provider
+   * @param {string} [options.accountId] Cloudflare account id for r2
+   * @param {string} [options.publicUrl] Template of a file url, like
+   *   https://downloads.example.com/{key}
    */
   normalizeOptions(options) {
     super.normalizeOptions(options);
@@ -25,15 +77,20 @@ class S3Transport extends AbstractTransport {
     };
     options.aws = Object.assign(awsAuth, options.aws);
 
+    this.provider = getProvider(options.provider);
+    this.applyProvider(options);
+
+    options.metadata = normalizeMetadata(options.metadata);
+
     if (!options.bucket) {
       options.bucket = this.commandOptions.packageJson.name + '-updates';
     }
 
     if (typeof options.bucket === 'string') {
-      options.bucket = {
-        Bucket: options.bucket,
-        ACL: 'public-read'
-      };
+      options.bucket = { Bucket: options.bucket };
+      if (options.metadata.default.acl !== 'none') {
+        options.bucket.ACL = options.metadata.default.acl;
+      }
     }
 
     if (!options.bucket.Bucket) {
@@ -41,13 +98,132 @@ class S3Transport extends AbstractTransport {
     }
 
     options.pathPrefix = options.pathPrefix || '';
+
+    options.multipartThreshold = Number(options.multipartThreshold || 64 * MB);
+    options.multipartPartSize = Number(options.multipartPartSize || 16 * MB);
+    options.multipartConcurrency = Number(options.multipartConcurrency || 4);
+
+    if (options.multipartPartSize < MIN_PART_SIZE) {
+      throw new Error(
+        `The transport.multipartPartSize option should be at least ${MIN_PART_SIZE}`
+      );
+    }
+  }
+
+  /**
+   * Fill aws options and defaults according to the provider preset.
+   * Options which are set explicitly take precedence.
+   * @param {object} options
+   */
+  applyProvider(options) {
+    const provider = this.provider;
+    const region = options.region || options.aws.region || provider.region;
+
+    if (region) {
+      options.aws.region = region;
+    }
+
+    if (options.endpoint) {
+      options.aws.endpoint = options.endpoint;
+    } else if (!options.aws.endpoint && provider.endpoint) {
+      options.aws.endpoint = fillTemplate(
+        provider.endpoint,
+        { region, accountId: options.accountId },
+        `the ${provider.name} endpoint`
+      );
+    }
+
+    if (provider.name === 'minio' && !options.aws.endpoint) {
+      throw new Error(
+        'The transport.endpoint option is not set, like http://localhost:9000'
+      );
+    }
+
+    if (provider.forcePathStyle && options.aws.s3ForcePathStyle === undefined) {
+      options.aws.s3ForcePathStyle = true;
+    }
+
+    if (!options.publicUrl && provider.name !== 'aws') {
+      if (!provider.publicUrl) {
+        throw new Error(
+          `The transport.publicUrl option is required for ${provider.name}, ` +
+          'like https://downloads.example.com/{key}'
+        );
+      }
+      options.publicUrl = provider.publicUrl;
+    }
+
+    if (!provider.acl) {
+      const metadata = options.metadata || {};
+      options.metadata = Object.assign({}, metadata, {
+        default: Object.assign({ acl: 'none' }, metadata.default)
+      });
+    }
   }
 
   init() {
     AWS.config.update(this.options.aws);
     //noinspection JSCheckFunctionSignatures
     this.s3 = new AWS.S3({ apiVersion: '2006-03-01' });
-    this.q = this.createBucket(this.options.bucket);
+    this.uploadState = new UploadState(this.options.multipartStatePath);
+    if (this.commandOptions.dryRun) {
+      this.q = Promise.resolve();
+    } else {
+      this.q = this.createBucket(this.options.bucket);
+    }
+  }
+
+  /**
+   * @param {object} build
+   * @return {Promise<object>}
+   */
+  beforeUpload(build) {
+    return this.checkObjectLock()
+      .then(() => super.beforeUpload(build));
+  }
+
+  /**
+   * Objects in a bucket with a default retention can't be removed until
+   * the retention expires, so remove, prune and rollbacks of failed
+   * publishing wouldn't work. Reject in that case before uploading.
+   * @return {Promise}
+   */
+  checkObjectLock() {
+    const bucket = this.options.bucket.Bucket;
+
+    if (this.options.allowObjectLock) {
+      return Promise.resolve();
+    }
+
+    return this.q
+      .then(() => {
+        return this.s3.getObjectLockConfiguration({ Bucket: bucket }).promise();
+      })
+      .then((response) => {
+        const config = response.ObjectLockConfiguration || {};
+        const retention = config.Rule && config.Rule.DefaultRetention;
+        if (config.ObjectLockEnabled !== 'Enabled' || !retention) {
+          return;
+        }
+
+        const period = retention.Days
+          ? `${retention.Days} days`
+          : `${retention.Years} years`;
+        throw new Error(
+          `The bucket ${bucket} has object lock with a default ` +
+          `${retention.Mode} retention of ${period}. Published files ` +
+          'couldn\'t be removed until the retention expires, so the ' +
+          'publishing is stopped. Set transport.allowObjectLock option to ' +
+          'publish anyway.'
+        );
+      }, (e) => {
+        if (e.code === 'ObjectLockConfigurationNotFoundError') {
+          return;
+        }
+        console.warn(
+          `Couldn't check object lock of the bucket ${bucket}: ${e.message}`
+        );
+      });
   }
 
   /**
@@ -63,12 +239,18 @@ class S3Transport extends AbstractTransport {
 
     return this.q
       .then(() => {
-        return this.s3.putObject({
-          ACL: 'public-read',
+        const size = fs.statSync(filePath).size;
+        if (size >= this.options.multipartThreshold) {
+          return this.uploadMultipart(filePath, remotePath, size);
+        }
+
+        const params = Object.assign(this.getObjectParams(filePath), {
           Body: fs.createReadStream(filePath),
           Bucket: bucket,
           Key: remotePath
-        })
+        });
+
+        return this.s3.putObject(params)
           .on('httpUploadProgress', (progress) => {
             this.setProgress(filePath, progress.loaded, progress.total);
           })
@@ -78,93 +260,528 @@ class S3Transport extends AbstractTransport {
         console.warn(`Couldn't upload ${remotePath}: ${e.message}`);
         throw e;
       })
-      .then(() => {
-        if (this.options.aws.s3ForcePathStyle === true) {
-          return `https://${this.s3.endpoint.host}/${bucket}/${remotePath}`;
-        } else {
-          return `https://${bucket}.${this.s3.endpoint.host}/${remotePath}`;
+      .then(() => this.getFileUrl(filePath, build));
+  }
+
+  /**
+   * Upload a large file by parts. Uploaded parts are saved locally, so if
+   * the upload fails, the next run sends only the rest of the file
+   * @param {string} filePath
+   * @param {string} key
+   * @param {number} size
+   * @return {Promise}
+   */
+  uploadMultipart(filePath, key, size) {
+    const bucket = this.options.bucket.Bucket;
+    const stateKey = `${bucket}/${key}`;
+    const file = {
+      key,
+      filePath: path.resolve(filePath),
+      size,
+      mtime: fs.statSync(filePath).mtime.getTime(),
+      partSize: Math.max(
+        this.options.multipartPartSize,
+        Math.ceil(size / MAX_PARTS)
+      )
+    };
+
+    return this.resumeMultipartUpload(stateKey, file)
+      .then(upload => upload || this.startMultipartUpload(stateKey, file))
+      .then((upload) => {
+        const partsCount = Math.ceil(size / file.partSize);
+        const getPartSize = (number) => {
+          return Math.min(file.partSize, size - (number - 1) * file.partSize);
+        };
+
+        const uploadedNumbers = upload.parts.map(part => part.PartNumber);
+        const numbers = [];
+        for (let number = 1; number <= partsCount; number++) {
+          if (uploadedNumbers.indexOf(number) === -1) {
+            numbers.push(number);
+          }
+        }
+
+        let completed = uploadedNumbers.reduce((sum, number) => {
+          return sum + getPartSize(number);
+        }, 0);
+        const loading = {};
+        const onProgress = () => {
+          const loaded = Object.keys(loading)
+            .reduce((sum, number) => sum + loading[number], completed);
+          this.setProgress(filePath, loaded, size);
+        };
+
+        return mapLimit(numbers, this.options.multipartConcurrency, (number) => {
+          const start = (number - 1) * file.partSize;
+          const partSize = getPartSize(number);
+
+          return this.s3.uploadPart({
+            Body: fs.createReadStream(filePath, {
+              start,
+              end: start + partSize - 1
+            }),
+            Bucket: bucket,
+            ContentLength: partSize,
+            Key: key,
+            PartNumber: number,
+            UploadId: upload.uploadId
+          })
+            .on('httpUploadProgress', (progress) => {
+              loading[number] = progress.loaded;
+              onProgress();
+            })
+            .promise()
+            .then((result) => {
+              delete loading[number];
+              completed += partSize;
+              upload.parts.push({ PartNumber: number, ETag: result.ETag });
+              this.uploadState.set(stateKey, upload);
+              onProgress();
+            });
+        })
+          .then(() => {
+            return this.s3.completeMultipartUpload({
+              Bucket: bucket,
+              Key: key,
+              MultipartUpload: {
+                Parts: upload.parts
+                  .slice()
+                  .sort((a, b) => a.PartNumber - b.PartNumber)
+              },
+              UploadId: upload.uploadId
+            }).promise();
+          })
+          .then(() => this.uploadState.delete(stateKey));
+      });
+  }
+
+  /**
+   * @param {string} stateKey
+   * @param {object} file
+   * @return {Promise<object>} Saved upload state
+   */
+  startMultipartUpload(stateKey, file) {
+    const params = Object.assign(this.getObjectParams(file.filePath), {
+      Bucket: this.options.bucket.Bucket,
+      Key: file.key
+    });
+
+    return this.s3.createMultipartUpload(params)
+      .promise()
+      .then((result) => {
+        const upload = Object.assign({}, file, {
+          uploadId: result.UploadId,
+          parts: []
+        });
+        this.uploadState.set(stateKey, upload);
+        return upload;
+      });
+  }
+
+  /**
+   * Find a saved upload of the same file. Parts which are saved locally
+   * but are missed on S3 are uploaded again
+   * @param {string} stateKey
+   * @param {object} file
+   * @return {Promise<object|null>}
+   */
+  resumeMultipartUpload(stateKey, file) {
+    const bucket = this.options.bucket.Bucket;
+    const upload = this.uploadState.get(stateKey);
+
+    if (!upload) {
+      return Promise.resolve(null);
+    }
+
+    const isSameFile = ['filePath', 'size', 'mtime', 'partSize']
+      .every(field => upload[field] === file[field]);
+
+    if (!isSameFile) {
+      this.uploadState.delete(stateKey);
+      return this.s3.abortMultipartUpload({
+        Bucket: bucket,
+        Key: upload.key,
+        UploadId: upload.uploadId
+      })
+        .promise()
+        .then(() => null, () => null);
+    }
+
+    return this.fetchUploadedParts(upload.key, upload.uploadId)
+      .then((remoteParts) => {
+        const etags = {};
+        remoteParts.forEach((part) => {
+          etags[part.PartNumber] = part.ETag;
+        });
+        upload.parts = upload.parts
+          .filter(part => etags[part.PartNumber] === part.ETag);
+
+        console.log(
+          `Resuming upload of ${upload.key}, ${upload.parts.length} ` +
+          'parts are already uploaded'
+        );
+        return upload;
+      }, (e) => {
+        if (e.code === 'NoSuchUpload') {
+          this.uploadState.delete(stateKey);
+          return null;
         }
+        throw e;
       });
   }
 
   /**
-   * Save updates.json to a hosting
-   * @return {Promise<string>} Url to updates.json
+   * @param {string} key
+   * @param {string} uploadId
+   * @param {number} [marker]
+   * @return {Promise<Array<{PartNumber: number, ETag: string}>>}
+   */
+  fetchUploadedParts(key, uploadId, marker) {
+    const params = {
+      Bucket: this.options.bucket.Bucket,
+      Key: key,
+      UploadId: uploadId
+    };
+    if (marker) {
+      params.PartNumberMarker = marker;
+    }
+
+    return this.s3.listParts(params)
+      .promise()
+      .then((response) => {
+        const parts = response.Parts || [];
+        if (!response.IsTruncated) {
+          return parts;
+        }
+
+        return this.fetchUploadedParts(key, uploadId, response.NextPartNumberMarker)
+          .then(nextParts => parts.concat(nextParts));
+      });
+  }
+
+  /**
+   * @return {Promise<object>}
+   */
+  fetchUpdatesJson() {
+    return this.fetchUpdatesJsonRevision()
+      .then(({ data }) => data);
+  }
+
+  /**
+   * Read updates.json directly from the bucket to get its ETag
+   * @return {Promise<{data: object, revision: string|null}>}
    */
-  pushUpdatesJson(data) {
+  fetchUpdatesJsonRevision() {
     const bucket = this.options.bucket.Bucket;
     return this.q
       .then(() => {
-        return this.s3.putObject({
-          ACL: 'public-read',
-          Body: JSON.stringify(data, null, '  '),
+        return this.s3.getObject({
           Bucket: bucket,
           Key: this.options.pathPrefix + 'updates.json'
         }).promise();
       })
-      .catch((e) => {
-        console.warn(`Couldn't upload updates.json: ${e.message}`);
+      .then((response) => {
+        return {
+          data: this.parseUpdatesJson(response.Body),
+          revision: response.ETag
+        };
+      }, (e) => {
+        if (e.code === 'NoSuchKey') {
+          return { data: this.onUpdatesJsonMissing(), revision: null };
+        }
+
+        console.warn(`Couldn't get updates.json: ${e.message}`);
         throw e;
+      });
+  }
+
+  /**
+   * Versions of updates.json in a versioned bucket, newest first
+   * @return {Promise<Array<object>>}
+   */
+  fetchUpdatesJsonVersions() {
+    const key = this.options.pathPrefix + 'updates.json';
+
+    return this.getVersionList(key)
+      .then(({ versions }) => {
+        return versions
+          .filter(version => version.Key === key)
+          .map(version => ({
+            id: version.VersionId,
+            date: version.LastModified,
+            size: version.Size,
+            isLatest: version.IsLatest
+          }))
+          .sort((a, b) => b.date - a.date);
+      });
+  }
+
+  /**
+   * @param {string} versionId
+   * @return {Promise<object>}
+   */
+  fetchUpdatesJsonVersion(versionId) {
+    return this.q
+      .then(() => {
+        return this.s3.getObject({
+          Bucket: this.options.bucket.Bucket,
+          Key: this.options.pathPrefix + 'updates.json',
+          VersionId: versionId
+        }).promise();
       })
+      .then(response => this.parseUpdatesJson(response.Body));
+  }
+
+  /**
+   * Save updates.json to a hosting. If revision is set, the object is
+   * written only if its ETag isn't changed (or it still doesn't exist)
+   * @return {Promise<string>} Url to updates.json
+   */
+  pushUpdatesJson(data, revision) {
+    const content = this.serializeUpdatesJson(data);
+    return this.putRootObject('updates.json', content, revision)
       .then(() => this.getUpdatesJsonUrl());
   }
 
+  /**
+   * @return {Promise}
+   */
+  pushRootFile(fileName, content) {
+    return this.putRootObject(fileName, content);
+  }
+
+  putRootObject(fileName, content, revision) {
+    const bucket = this.options.bucket.Bucket;
+    return this.q
+      .then(() => {
+        const params = Object.assign(this.getObjectParams(fileName, true), {
+          Body: content,
+          Bucket: bucket,
+          Key: this.options.pathPrefix + fileName
+        });
+
+        // IfNoneMatch is supported since aws-sdk 2.1679.0
+        if (revision === null) {
+          params.IfNoneMatch = '*';
+        }
+
+        const request = this.s3.putObject(params);
+        if (revision) {
+          // aws-sdk v2 has no IfMatch parameter for putObject (the last
+          // release is 2.1693.0) and rejects unknown parameters, so the
+          // header is added to the built request
+          request.on('build', () => {
+            request.httpRequest.headers['If-Match'] = revision;
+          });
+        }
+
+        return request.promise();
+      })
+      .catch((e) => {
+        const isConflict = e.statusCode === 412 || e.statusCode === 409;
+        if (revision !== undefined && isConflict) {
+          throw this.createConflictError(
+            `${fileName} has been changed by someone else: ${e.message}`
+          );
+        }
+
+        console.warn(`Couldn't upload ${fileName}: ${e.message}`);
+        throw e;
+      });
+  }
+
   /**
    * @return {Promise<Array<string>>}
    */
   fetchBuildsList() {
     const prefix = this.options.pathPrefix;
 
+    // Only build directories are listed, not all their files
+    return this.getFileList(prefix, '/')
+      .then((directories) => {
+        return directories
+          .map(item => item.Prefix.substring(prefix.length).split('/')[0])
+          .filter(key => key.match(/^\w+-\w+-\w+-[\w.]+$/));
+      });
+  }
+
+  /**
+   * @return {Promise<Array<object>>}
+   */
+  fetchBuildsInfo() {
+    const prefix = this.options.pathPrefix;
+
     return this.getFileList(prefix)
-      .then((response) => {
-        return response.Contents
-          .map(item => item.Key)
-          .map(key => {
-            if (!prefix) return key;
+      .then((items) => {
+        const builds = {};
+        items.forEach((item) => {
+          const id = item.Key.substring(prefix.length).split('/')[0];
+          if (!id.match(/^\w+-\w+-\w+-[\w.]+$/)) return;
 
-            if (key.startsWith(prefix)) {
-              key = key.substring(prefix.length);
-            }
+          const build = builds[id] = builds[id] || { id, count: 0, size: 0 };
+          build.count++;
+          build.size += item.Size;
+          if (!build.date || item.LastModified > build.date) {
+            build.date = item.LastModified;
+          }
+        });
 
-            return key;
-          })
-          .map(key => key.split('/')[0])
-          .filter(key => key.match(/^\w+-\w+-\w+-[\w.]+$/))
-          .filter((item, pos, self) => self.indexOf(item) === pos);
+        return Object.keys(builds).map(id => builds[id]);
+      });
+  }
+
+  /**
+   * @return {Promise<Array<string>>}
+   */
+  fetchBuildFiles(build) {
+    const prefix = this.options.pathPrefix + this.getBuildId(build) + '/';
+
+    return this.getFileList(prefix)
+      .then((items) => {
+        return items.map(item => item.Key.substring(prefix.length));
+      });
+  }
+
+  /**
+   * Check a file by headObject, so files of a private bucket can be
+   * checked too
+   * @return {Promise<object>}
+   */
+  fetchFileInfo(url, build, fileName) {
+    if (!build) {
+      return super.fetchFileInfo(url, build, fileName);
+    }
+
+    const key = this.getRemoteFilePath(fileName, build);
+
+    return this.q
+      .then(() => {
+        return this.s3.headObject({
+          Bucket: this.options.bucket.Bucket,
+          Key: key
+        }).promise();
+      })
+      .then((res) => {
+        return { exists: true, size: res.ContentLength, status: 's3 found' };
+      }, (e) => {
+        if (e.statusCode === 404) {
+          return { exists: false, status: `not found ${key}` };
+        }
+        throw e;
       });
   }
 
+  canCopyBuild() {
+    return true;
+  }
+
   /**
+   * Copy objects using server-side copy
    * @return {Promise}
    */
-  removeBuild(build) {
+  copyBuild(fromBuild, toBuild) {
     const bucket = this.options.bucket.Bucket;
-    const buildId = this.getBuildId(build);
     const prefix = this.options.pathPrefix;
+    const fromPrefix = prefix + this.getBuildId(fromBuild) + '/';
+    const toPrefix = prefix + this.getBuildId(toBuild) + '/';
 
-    return this.getFileList(prefix + buildId)
-      .then((response) => {
-        return response.Contents.map(item => item.Key);
+    return this.getFileList(fromPrefix)
+      .then((items) => {
+        return items.map(item => item.Key);
       })
       .then((keys) => {
         if (keys.length < 1) {
+          throw new Error(`Build ${this.getBuildId(fromBuild)} not found on s3`);
+        }
+
+        return keys.reduce((promise, key) => {
+          return promise.then(() => {
+            const params = this.getObjectParams(key);
+            // Content-Type and Cache-Control are copied from the source
+            delete params.ContentType;
+            delete params.CacheControl;
+
+            return this.s3.copyObject(Object.assign(params, {
+              Bucket: bucket,
+              CopySource: encodeURI(`${bucket}/${key}`),
+              Key: toPrefix + key.substring(fromPrefix.length)
+            })).promise();
+          });
+        }, Promise.resolve());
+      })
+      .catch((e) => {
+        console.warn(`Couldn't copy ${fromPrefix} to ${toPrefix}: ${e.message}`);
+        throw e;
+      });
+  }
+
+  /**
+   * @return {Promise}
+   */
+  removeBuild(build) {
+    const buildId = this.getBuildId(build);
+    const prefix = this.options.pathPrefix + buildId + '/';
+
+    const objects = this.options.purgeVersions
+      ? this.getVersionList(prefix).then(({ versions, deleteMarkers }) => {
+        return versions.concat(deleteMarkers);
+      })
+      : this.getFileList(prefix);
+
+    return objects
+      .then((items) => {
+        return items.map((item) => {
+          return item.VersionId
+            ? { Key: item.Key, VersionId: item.VersionId }
+            : { Key: item.Key };
+        });
+      })
+      .then((items) => {
+        if (items.length < 1) {
           throw new Error(`Build ${buildId} not found on s3`);
         }
 
-        return this.s3.deleteObjects({
-          Bucket: bucket,
-          Delete: {
-            Objects: keys.map(key => ({ Key: key }))
+        return this.removeObjects(items);
+      });
+  }
+
+  /**
+   * Remove objects by batches of 1000 keys, which is the limit of
+   * deleteObjects
+   * @param {Array<{Key: string, VersionId: (string|undefined)}>} objects
+   * @return {Promise}
+   */
+  removeObjects(objects) {
+    const bucket = this.options.bucket.Bucket;
+    const batches = [];
+    for (let i = 0; i < objects.length; i += MAX_DELETE_KEYS) {
+      batches.push(objects.slice(i, i + MAX_DELETE_KEYS));
+    }
+
+    return batches.reduce((promise, batch) => {
+      return promise
+        .then(() => {
+          return this.s3.deleteObjects({
+            Bucket: bucket,
+            Delete: { Objects: batch }
+          }).promise();
+        })
+        .then((response) => {
+          const errors = response.Errors || [];
+          if (errors.length) {
+            throw new Error(errors
+              .map(error => `${error.Key}: ${error.Message}`)
+              .join('\n'));
           }
         })
-          .promise()
-          .catch((e) => {
-            console.warn(
-              `Couldn't remove objects:\n ${keys.join('\n')}\n ${e.message}`
-            );
-            throw e;
-          });
-      });
+        .catch((e) => {
+          const keys = batch.map(item => item.Key);
+          console.warn(
+            `Couldn't remove objects:\n ${keys.join('\n')}\n ${e.message}`
+          );
+          throw e;
+        });
+    }, Promise.resolve());
   }
 
   createBucket(bucketOptions) {
@@ -175,7 +792,14 @@ class S3Transport extends AbstractTransport {
           `The bucket ${bucketOptions.Bucket} isn't accessible: ${e.message}` +
           '. Trying to create a new bucket...'
         );
-        return this.s3.createBucket(bucketOptions).promise();
+        if (this.provider.bucketCreation === 'none') {
+          throw new Error(
+            `${this.provider.name} buckets can't be created by the publisher, ` +
+            'create it manually'
+          );
+        }
+        return this.s3.createBucket(this.getCreateBucketParams(bucketOptions))
+          .promise();
       })
       .catch((e) => {
         console.warn(
@@ -185,6 +809,36 @@ class S3Transport extends AbstractTransport {
       });
   }
 
+  /**
+   * Make putObject parameters according to the metadata rule of the file
+   * @param {string} fileName
+   * @param {boolean} [isRootFile] The file is in the root, like updates.json
+   * @return {object}
+   */
+  getObjectParams(fileName, isRootFile = false) {
+    const name = path.basename(fileName);
+    let kind = 'assets';
+    if (isRootFile) {
+      kind = name === 'updates.json' ? 'updatesJson' : 'rootFiles';
+    } else if (name === 'release.json') {
+      kind = 'releaseJson';
+    }
+
+    const rule = this.options.metadata[kind];
+    const params = {};
+    Object.keys(rule).forEach((field) => {
+      const value = rule[field];
+      if (value === null || (field === 'acl' && value === 'none')) return;
+      params[METADATA_FIELDS[field]] = value;
+    });
+
+    if (!params.ContentType) {
+      params.ContentType = getContentTypeByFileName(name);
+    }
+
+    return params;
+  }
+
   getRemoteFilePath(localFilePath, build) {
     localFilePath = path.basename(localFilePath);
     const prefix = this.options.pathPrefix;
@@ -194,23 +848,171 @@ class S3Transport extends AbstractTransport {
     );
   }
 
-  getFileList(prefix) {
+  /**
+   * @param {object} bucketOptions
+   * @return {object} createBucket parameters
+   */
+  getCreateBucketParams(bucketOptions) {
+    if (this.provider.bucketCreation === 'aws') {
+      const region = this.options.aws.region;
+      const params = Object.assign({}, bucketOptions);
+      // us-east-1 is the default and can't be set as a location
+      if (region && region !== 'us-east-1' && !params.CreateBucketConfiguration) {
+        params.CreateBucketConfiguration = { LocationConstraint: region };
+      }
+      return params;
+    }
+
+    const params = { Bucket: bucketOptions.Bucket };
+    if (this.provider.acl && bucketOptions.ACL) {
+      params.ACL = bucketOptions.ACL;
+    }
+    return params;
+  }
+
+  getFileUrl(localFilePath, build) {
+    const remotePath = this.getRemoteFilePath(localFilePath, build);
     const bucket = this.options.bucket.Bucket;
 
-    return this.q
-      .then(() => {
-        const options = { Bucket: bucket };
-        if (prefix) {
-          options.Prefix = prefix;
-        }
+    if (this.options.publicUrl) {
+      const endpoint = this.options.aws.endpoint || '';
+      return fillTemplate(this.options.publicUrl, {
+        bucket,
+        key: remotePath,
+        region: this.options.aws.region,
+        endpoint: String(endpoint).replace(/\/$/, '')
+      }, 'publicUrl');
+    }
 
-        return this.s3.listObjectsV2(options).promise();
-      })
+    if (this.options.aws.s3ForcePathStyle === true) {
+      return `https://${this.s3.endpoint.host}/${bucket}/${remotePath}`;
+    } else {
+      return `https://${bucket}.${this.s3.endpoint.host}/${remotePath}`;
+    }
+  }
+
+  /**
+   * List all objects with the prefix. If delimiter is set, return common
+   * prefixes (directories) instead
+   * @param {string} prefix
+   * @param {string} [delimiter]
+   * @return {Promise<Array<object>>}
+   */
+  getFileList(prefix, delimiter) {
+    const bucket = this.options.bucket.Bucket;
+    const items = [];
+
+    const fetchPage = (continuationToken) => {
+      const options = { Bucket: bucket };
+      if (prefix) {
+        options.Prefix = prefix;
+      }
+      if (delimiter) {
+        options.Delimiter = delimiter;
+      }
+      if (continuationToken) {
+        options.ContinuationToken = continuationToken;
+      }
+
+      return this.s3.listObjectsV2(options).promise()
+        .then((response) => {
+          const page = delimiter ? response.CommonPrefixes : response.Contents;
+          items.push(...(page || []));
+
+          if (response.IsTruncated) {
+            return fetchPage(response.NextContinuationToken);
+          }
+          return items;
+        });
+    };
+
+    return this.q
+      .then(() => fetchPage())
       .catch((e) => {
         console.warn(`Couldn't get builds list: ${e.message}`);
         throw e;
       });
   }
+
+  /**
+   * List all versions and delete markers of objects with the prefix
+   * @param {string} prefix
+   * @return {Promise<{versions: Array<object>, deleteMarkers: Array<object>}>}
+   */
+  getVersionList(prefix) {
+    const bucket = this.options.bucket.Bucket;
+    const result = { versions: [], deleteMarkers: [] };
+
+    const fetchPage = (keyMarker, versionIdMarker) => {
+      const options = { Bucket: bucket, Prefix: prefix };
+      if (keyMarker) {
+        options.KeyMarker = keyMarker;
+        options.VersionIdMarker = versionIdMarker;
+      }
+
+      return this.s3.listObjectVersions(options).promise()
+        .then((response) => {
+          result.versions.push(...(response.Versions || []));
+          result.deleteMarkers.push(...(response.DeleteMarkers || []));
+
+          if (response.IsTruncated) {
+            return fetchPage(
+              response.NextKeyMarker,
+              response.NextVersionIdMarker
+            );
+          }
+          return result;
+        });
+    };
+
+    return this.q
+      .then(() => fetchPage())
+      .catch((e) => {
+        console.warn(`Couldn't get versions of ${prefix}: ${e.message}`);
+        throw e;
+      });
+  }
 }
 
 module.exports = S3Transport;
+
+/**
+ * Merge metadata rules with defaults. The default rule is applied to all
+ * kinds of files, but it doesn't override built-in defaults of a kind, like
+ * no-cache of updates.json. A value set to null removes a default value
+ * @param {object} [metadata]
+ * @return {object}
+ */
+function normalizeMetadata(metadata = {}) {
+  const result = {};
+
+  Object.keys(metadata).forEach((kind) => {
+    if (!METADATA_DEFAULTS[kind]) {
+      throw new Error(
+        `Unknown transport.metadata.${kind} rule, allowed rules are ` +
+        Object.keys(METADATA_DEFAULTS).join(', ')
+      );
+    }
+
+    Object.keys(metadata[kind]).forEach((field) => {
+      if (!METADATA_FIELDS[field]) {
+        throw new Error(
+          `Unknown transport.metadata.${kind}.${field} field, allowed ` +
+          'fields are ' + Object.keys(METADATA_FIELDS).join(', ')
+        );
+      }
+    });
+  });
+
+  Object.keys(METADATA_DEFAULTS).forEach((kind) => {
+    result[kind] = Object.assign(
+      {},
+      METADATA_DEFAULTS.default,
+      metadata.default,
+      METADATA_DEFAULTS[kind],
+      metadata[kind]
+    );
+  });
+
+  return result;
+}
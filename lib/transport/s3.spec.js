@@ -0,0 +1,395 @@
+'use strict';
+
+const { expect } = require('chai');
+const fs         = require('fs');
+const os         = require('os');
+const path       = require('path');
+const sinon      = require('sinon');
+
+const S3Transport = require('./s3');
+const UploadState = require('../utils/upload-state');
+
+describe('S3Transport', () => {
+  const filePath = path.join(os.tmpdir(), 'publisher-multipart.bin');
+  const statePath = path.join(os.tmpdir(), 'publisher-multipart.json');
+  let log;
+  let warn;
+
+  beforeEach(() => {
+    log = sinon.stub(console, 'log');
+    warn = sinon.stub(console, 'warn');
+    fs.writeFileSync(filePath, '0123456789');
+  });
+
+  afterEach(() => {
+    log.restore();
+    warn.restore();
+    fs.unlinkSync(filePath);
+    if (fs.existsSync(statePath)) {
+      fs.unlinkSync(statePath);
+    }
+  });
+
+  it('should resume a failed multipart upload', () => {
+    const build = {
+      platform: 'linux',
+      arch: 'x64',
+      channel: 'prod',
+      version: '1.0.0'
+    };
+    const key = 'linux-x64-prod-v1.0.0/publisher-multipart.bin';
+
+    const s3 = new FakeS3({ failPart: 2 });
+    const transport = createTransport(s3);
+
+    return transport.uploadFile(filePath, build)
+      .then(() => {
+        throw new Error('uploadFile should fail');
+      }, (e) => {
+        expect(e.message).to.equal('Connection lost');
+        expect(s3.uploadedParts).to.deep.equal([1]);
+        expect(transport.uploadState.get(`test/${key}`).parts)
+          .to.deep.equal([{ PartNumber: 1, ETag: '"1"' }]);
+
+        s3.failPart = null;
+        return createTransport(s3).uploadFile(filePath, build);
+      })
+      .then((url) => {
+        expect(url).to.equal(`https://test.s3.amazonaws.com/${key}`);
+        expect(s3.createdUploads).to.equal(1);
+        expect(s3.uploadedParts).to.deep.equal([1, 2, 3]);
+        expect(s3.completed.MultipartUpload.Parts.map(p => p.PartNumber))
+          .to.deep.equal([1, 2, 3]);
+        expect(transport.uploadState.get(`test/${key}`)).to.be.undefined;
+      });
+  });
+
+  it('should apply metadata rules by a file kind', () => {
+    const transport = new S3Transport({
+      transport: {
+        bucket: 'test',
+        remoteUrl: 'http://example.com',
+        metadata: {
+          default: { acl: 'none' },
+          assets: {
+            cacheControl: 'public, max-age=31536000, immutable',
+            storageClass: 'STANDARD_IA',
+            serverSideEncryption: 'aws:kms',
+            sseKmsKeyId: 'key-id'
+          }
+        }
+      }
+    });
+
+    expect(transport.options.bucket).to.deep.equal({ Bucket: 'test' });
+    expect(transport.getObjectParams('updates.json', true)).to.deep.equal({
+      CacheControl: 'no-cache',
+      ContentType: 'application/json'
+    });
+    expect(transport.getObjectParams('/dist/app-1.0.0.dmg')).to.deep.equal({
+      CacheControl: 'public, max-age=31536000, immutable',
+      ContentType: 'application/x-apple-diskimage',
+      StorageClass: 'STANDARD_IA',
+      ServerSideEncryption: 'aws:kms',
+      SSEKMSKeyId: 'key-id'
+    });
+  });
+
+  it('should keep no-cache of root files with a default cacheControl', () => {
+    const transport = new S3Transport({
+      transport: {
+        bucket: 'test',
+        remoteUrl: 'http://example.com',
+        metadata: {
+          default: { cacheControl: 'public, max-age=86400' },
+          rootFiles: { cacheControl: 'max-age=60' }
+        }
+      }
+    });
+
+    expect(transport.getObjectParams('updates.json', true))
+      .to.include({ CacheControl: 'no-cache' });
+    expect(transport.getObjectParams('latest.yml', true))
+      .to.include({ CacheControl: 'max-age=60' });
+    expect(transport.getObjectParams('/dist/release.json'))
+      .to.include({ CacheControl: 'no-cache' });
+    expect(transport.getObjectParams('/dist/app-1.0.0.dmg'))
+      .to.include({ CacheControl: 'public, max-age=86400' });
+  });
+
+  it('should fail on an unknown metadata field', () => {
+    expect(() => {
+      return new S3Transport({
+        transport: {
+          bucket: 'test',
+          remoteUrl: 'http://example.com',
+          metadata: { assets: { CacheControl: 'no-cache' } }
+        }
+      });
+    }).to.throw('Unknown transport.metadata.assets.CacheControl field');
+  });
+
+  it('should read all pages of a listing and remove keys by batches', () => {
+    const keys = [];
+    for (let i = 0; i < 2500; i++) {
+      keys.push(`linux-x64-prod-v1.0.0/file-${i}`);
+    }
+
+    const s3 = new FakeS3({});
+    s3.keys = keys;
+    const transport = createTransport(s3);
+
+    return transport.fetchBuildsInfo()
+      .then((builds) => {
+        expect(s3.listRequests).to.equal(3);
+        expect(builds).to.have.length(1);
+        expect(builds[0]).to.include({
+          id: 'linux-x64-prod-v1.0.0',
+          count: 2500,
+          size: 2500
+        });
+
+        return transport.removeBuild({
+          platform: 'linux',
+          arch: 'x64',
+          channel: 'prod',
+          version: '1.0.0'
+        });
+      })
+      .then(() => {
+        expect(s3.deleteBatches).to.deep.equal([1000, 1000, 500]);
+      });
+  });
+
+  it('should remove all versions of build files if purgeVersions is set', () => {
+    const s3 = new FakeS3({});
+    s3.listObjectVersions = () => request({
+      Versions: [
+        { Key: 'linux-x64-prod-v1.0.0/app.AppImage', VersionId: '2' },
+        { Key: 'linux-x64-prod-v1.0.0/app.AppImage', VersionId: '1' }
+      ],
+      DeleteMarkers: [
+        { Key: 'linux-x64-prod-v1.0.0/old.AppImage', VersionId: '3' }
+      ]
+    });
+    s3.deleteObjects = (params) => {
+      s3.deleted = params.Delete.Objects;
+      return request({});
+    };
+
+    const transport = createTransport(s3);
+    transport.options.purgeVersions = true;
+
+    return transport.removeBuild({
+      platform: 'linux',
+      arch: 'x64',
+      channel: 'prod',
+      version: '1.0.0'
+    })
+      .then(() => {
+        expect(s3.deleted).to.deep.equal([
+          { Key: 'linux-x64-prod-v1.0.0/app.AppImage', VersionId: '2' },
+          { Key: 'linux-x64-prod-v1.0.0/app.AppImage', VersionId: '1' },
+          { Key: 'linux-x64-prod-v1.0.0/old.AppImage', VersionId: '3' }
+        ]);
+      });
+  });
+
+  it('should not publish to a bucket with a default retention', () => {
+    const s3 = new FakeS3({});
+    s3.getObjectLockConfiguration = () => request({
+      ObjectLockConfiguration: {
+        ObjectLockEnabled: 'Enabled',
+        Rule: { DefaultRetention: { Mode: 'GOVERNANCE', Days: 30 } }
+      }
+    });
+
+    return createTransport(s3).beforeUpload({})
+      .then(() => {
+        throw new Error('beforeUpload should fail');
+      }, (e) => {
+        expect(e.message).to.contain('GOVERNANCE retention of 30 days');
+      });
+  });
+
+  it('should check files by headObject', () => {
+    const s3 = new FakeS3({});
+    s3.keys = ['linux-x64-prod-v1.0.0/app.AppImage'];
+    const transport = createTransport(s3);
+    const build = getBuild();
+
+    return Promise.all([
+      transport.fetchFileInfo('', build, 'app.AppImage'),
+      transport.fetchFileInfo('', build, 'missing.AppImage')
+    ])
+      .then(([found, missing]) => {
+        expect(found).to.include({ exists: true, size: 10 });
+        expect(missing).to.include({ exists: false });
+      });
+  });
+
+  it('should apply a provider preset', () => {
+    const transport = new S3Transport({
+      transport: {
+        provider: 'digitalocean',
+        region: 'ams3',
+        bucket: 'test',
+        remoteUrl: 'http://example.com'
+      }
+    });
+
+    expect(transport.options.aws.endpoint)
+      .to.equal('https://ams3.digitaloceanspaces.com');
+    expect(transport.getFileUrl('/dist/app.dmg', getBuild())).to.equal(
+      'https://test.ams3.digitaloceanspaces.com/linux-x64-prod-v1.0.0/app.dmg'
+    );
+  });
+
+  it('should not set ACL if a provider does not support it', () => {
+    const transport = new S3Transport({
+      transport: {
+        provider: 'r2',
+        accountId: 'account',
+        bucket: 'test',
+        remoteUrl: 'http://example.com',
+        publicUrl: 'https://downloads.example.com/{key}'
+      }
+    });
+
+    expect(transport.options.aws).to.include({
+      endpoint: 'https://account.r2.cloudflarestorage.com',
+      region: 'auto',
+      s3ForcePathStyle: true
+    });
+    expect(transport.options.bucket).to.deep.equal({ Bucket: 'test' });
+    expect(transport.getObjectParams('app.dmg')).to.not.have.property('ACL');
+    expect(transport.getFileUrl('/dist/app.dmg', getBuild())).to.equal(
+      'https://downloads.example.com/linux-x64-prod-v1.0.0/app.dmg'
+    );
+  });
+
+  it('should require publicUrl for r2', () => {
+    expect(() => {
+      return new S3Transport({
+        transport: {
+          provider: 'r2',
+          accountId: 'account',
+          bucket: 'test',
+          remoteUrl: 'http://example.com'
+        }
+      });
+    }).to.throw('The transport.publicUrl option is required for r2');
+  });
+
+  function createTransport(s3) {
+    const transport = new S3Transport({
+      transport: {
+        bucket: 'test',
+        remoteUrl: 'http://example.com',
+        multipartThreshold: 5,
+        multipartConcurrency: 1
+      }
+    });
+
+    // The minimal part size is 5MB, use smaller parts for the test
+    transport.options.multipartPartSize = 4;
+    transport.s3 = s3;
+    transport.q = Promise.resolve();
+    transport.uploadState = new UploadState(statePath);
+    return transport;
+  }
+});
+
+class FakeS3 {
+  constructor({ failPart }) {
+    this.failPart = failPart;
+    this.createdUploads = 0;
+    this.uploadedParts = [];
+    this.completed = null;
+    this.keys = [];
+    this.listRequests = 0;
+    this.deleteBatches = [];
+    this.endpoint = { host: 's3.amazonaws.com' };
+  }
+
+  headObject(params) {
+    if (this.keys.indexOf(params.Key) === -1) {
+      return request(Object.assign(new Error('Not Found'), { statusCode: 404 }));
+    }
+    return request({ ContentLength: 10 });
+  }
+
+  listObjectsV2(params) {
+    this.listRequests++;
+    const start = Number(params.ContinuationToken || 0);
+    const keys = this.keys.filter(key => key.startsWith(params.Prefix || ''));
+    const page = keys.slice(start, start + 1000);
+
+    return request({
+      Contents: page.map(key => ({ Key: key, Size: 1, LastModified: new Date() })),
+      IsTruncated: start + 1000 < keys.length,
+      NextContinuationToken: String(start + 1000)
+    });
+  }
+
+  deleteObjects(params) {
+    this.deleteBatches.push(params.Delete.Objects.length);
+    return request({ Deleted: params.Delete.Objects });
+  }
+
+  createMultipartUpload() {
+    this.createdUploads++;
+    return request({ UploadId: 'upload-1' });
+  }
+
+  uploadPart(params) {
+    // Read the part, so the file isn't opened after the test is finished
+    const read = new Promise((resolve, reject) => {
+      params.Body.on('error', reject).on('close', resolve).resume();
+    });
+
+    return request(read.then(() => {
+      if (params.PartNumber === this.failPart) {
+        return new Error('Connection lost');
+      }
+      this.uploadedParts.push(params.PartNumber);
+      return { ETag: `"${params.PartNumber}"` };
+    }));
+  }
+
+  listParts() {
+    return request({
+      Parts: this.uploadedParts.map(number => ({
+        PartNumber: number,
+        ETag: `"${number}"`
+      }))
+    });
+  }
+
+  completeMultipartUpload(params) {
+    this.completed = params;
+    return request({});
+  }
+}
+
+function request(result) {
+  return {
+    on() {
+      return this;
+    },
+    promise() {
+      return Promise.resolve(result).then((value) => {
+        return value instanceof Error ? Promise.reject(value) : value;
+      });
+    }
+  };
+}
+
+function getBuild() {
+  return {
+    platform: 'linux',
+    arch: 'x64',
+    channel: 'prod',
+    version: '1.0.0'
+  };
+}
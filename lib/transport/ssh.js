@@ -1,5 +1,6 @@
 'use strict';
 
+const crypto   = require('crypto');
 const fs       = require('fs');
 const os       = require('os');
 const path     = require('path');
@@ -74,7 +75,7 @@ class SshTransport extends AbstractTransport {
         if (err.code !== 4) throw err;
       })
       .then(() => {
-        return this.ssh.putFile(filePath, remotePath, null, {
+        return this.putFileAtomically(filePath, remotePath, {
           step: (transferred, _, total) => {
             this.setProgress(filePath, transferred, total);
           }
@@ -85,37 +86,124 @@ class SshTransport extends AbstractTransport {
       });
   }
 
+  /**
+   * @return {Promise<object>}
+   */
+  fetchUpdatesJson() {
+    // Exit code 3 means that updates.json doesn't exist
+    const command = 'test -e updates.json || exit 3; cat updates.json';
+
+    return this.executeCommand(command, false)
+      .then((result) => {
+        if (result.code === 3) {
+          return this.onUpdatesJsonMissing();
+        }
+
+        if (result.code !== 0) {
+          throw new Error(
+            `Could not read updates.json: ${(result.stderr || '').trim()}`
+          );
+        }
+
+        return this.parseUpdatesJson(result.stdout);
+      });
+  }
+
   /**
    * Save updates.json to a hosting
    * @return {Promise<string>} Url to updates.json
    */
   pushUpdatesJson(data) {
-    const remotePath = path.posix.join(
-      this.options.remotePath,
-      'updates.json'
-    );
-    let tmpPath;
+    return this.pushRootFile('updates.json', this.serializeUpdatesJson(data))
+      .then(() => {
+        return this.getUpdatesJsonUrl();
+      });
+  }
+
+  /**
+   * @return {Promise}
+   */
+  pushRootFile(fileName, content) {
+    const remotePath = path.posix.join(this.options.remotePath, fileName);
     return this.q
       .then(() => {
-        //noinspection ES6ModulesDependencies,NodeModulesDependencies
-        return this.saveTemporaryFile(JSON.stringify(data, null, '  '));
+        return this.saveTemporaryFile(content);
       })
       .then((filePath) => {
-        tmpPath = filePath;
-        // Whe should remove updates.json, otherwise only part of the file
-        // will be rewritten
-        return this.ssh.execCommand('rm -f updates.json', {
-          cwd: this.options.remotePath
-        });
-      })
+        // The local copy is removed whether the upload succeeds or not
+        return this.putFileAtomically(filePath, remotePath)
+          .then(() => removeLocalFile(filePath), (e) => {
+            removeLocalFile(filePath);
+            throw e;
+          });
+      });
+  }
+
+  /**
+   * Upload a file with a temporary name and rename it, so the target is
+   * replaced atomically
+   * @param {string} localPath
+   * @param {string} remotePath
+   * @param {object} [transferOptions]
+   * @return {Promise}
+   */
+  putFileAtomically(localPath, remotePath, transferOptions) {
+    const tmpPath = this.getTemporaryFilePath(remotePath);
+
+    return this.ssh.putFile(localPath, tmpPath, null, transferOptions)
       .then(() => {
-        return this.ssh.putFile(tmpPath, remotePath);
+        return this.executeCommand(
+          `mv -f ${shellQuote(tmpPath)} ${shellQuote(remotePath)}`,
+          false
+        );
       })
-      .then(() => {
-        return this.getUpdatesJsonUrl();
+      .then((result) => {
+        if (result.code !== 0) {
+          throw new Error(
+            `Could not rename ${tmpPath} to ${remotePath}: ${result.stderr}`
+          );
+        }
+      })
+      .catch((e) => {
+        return this.executeCommand(`rm -f ${shellQuote(tmpPath)}`, false)
+          .then(() => { throw e; }, () => { throw e; });
+      });
+  }
+
+  /**
+   * Create the lock file using noclobber, which fails if the file exists
+   * @return {Promise<boolean>}
+   */
+  acquireUpdatesJsonLock() {
+    const lockName = this.getUpdatesJsonLockName();
+    const command = `set -C && echo "$(hostname) $$" > ${lockName}`;
+
+    return this.executeCommand(command, false)
+      .then((result) => {
+        if (result.code === 0) {
+          return true;
+        }
+
+        return this.executeCommand(`test -e ${lockName}`, false)
+          .then((testResult) => {
+            if (testResult.code === 0) {
+              return false;
+            }
+
+            throw new Error(
+              `Could not create ${lockName}: ${(result.stderr || '').trim()}`
+            );
+          });
       });
   }
 
+  /**
+   * @return {Promise}
+   */
+  releaseUpdatesJsonLock() {
+    return this.executeCommand(`rm -f ${this.getUpdatesJsonLockName()}`, false);
+  }
+
   /**
    * @return {Promise<Array<string>>}
    */
@@ -129,6 +217,97 @@ class SshTransport extends AbstractTransport {
       });
   }
 
+  /**
+   * @return {Promise<Array<object>>}
+   */
+  fetchBuildsInfo() {
+    const command = 'find . -mindepth 1 -maxdepth 1 -type d -printf "%f %T@\\n"';
+
+    return this.executeCommand(command, false)
+      .then((result) => {
+        if (result.code !== 0) {
+          return super.fetchBuildsInfo();
+        }
+
+        return (result.stdout || '')
+          .split('\n')
+          .map(line => line.split(' '))
+          .filter(([id]) => id && id.match(/^\w+-\w+-\w+-[\w.]+$/))
+          .map(([id, time]) => ({ id, date: new Date(time * 1000) }));
+      });
+  }
+
+  /**
+   * @return {Promise<object>}
+   */
+  fetchFileInfo(url, build, fileName) {
+    if (!build) {
+      return super.fetchFileInfo(url, build, fileName);
+    }
+
+    const filePath = path.posix.join(this.getBuildId(build), fileName);
+
+    return this.executeCommand(`wc -c < ${shellQuote(filePath)}`, false)
+      .then((result) => {
+        if (result.code !== 0) {
+          return { exists: false, status: (result.stderr || '').trim() };
+        }
+
+        return {
+          exists: true,
+          size: parseInt(result.stdout, 10),
+          status: 'sftp'
+        };
+      });
+  }
+
+  /**
+   * @return {Promise<Array<string>>}
+   */
+  fetchBuildFiles(build) {
+    const buildId = this.getBuildId(build);
+
+    if (!buildId.match(/^[\w.-]+$/)) {
+      return Promise.reject(`Wrong build id ${buildId}`);
+    }
+
+    return this.executeCommand('ls -1 ' + buildId, false)
+      .then((result) => {
+        return (result.stdout || '')
+          .split('\n')
+          .filter(Boolean);
+      });
+  }
+
+  canCopyBuild() {
+    return true;
+  }
+
+  /**
+   * @return {Promise}
+   */
+  copyBuild(fromBuild, toBuild) {
+    const fromId = this.getBuildId(fromBuild);
+    const toId = this.getBuildId(toBuild);
+
+    if (!fromId.match(/^[\w.-]+$/) || !toId.match(/^[\w.-]+$/)) {
+      return Promise.reject(`Could not copy build ${fromId} to ${toId}`);
+    }
+
+    // Copy the contents, so the build isn't copied inside an existing
+    // target directory, e.g. when it's promoted twice
+    const command = `mkdir -p ${toId} && cp -r ${fromId}/. ${toId}`;
+    return this.executeCommand(command, false)
+      .then((result) => {
+        if (result.code === 0) return;
+
+        return Promise.reject(
+          `Error while copying a release ${fromId} to ${toId}\n` +
+          `${result.stdout}\n${result.stderr}`
+        );
+      });
+  }
+
   /**
    * @return {Promise}
    */
@@ -167,6 +346,30 @@ class SshTransport extends AbstractTransport {
     return Promise.resolve();
   }
 
+  /**
+   * @return {Promise}
+   */
+  reconnect() {
+    try {
+      this.ssh.dispose();
+    } catch (e) {
+      // The connection is already closed
+    }
+    return this.init();
+  }
+
+  /**
+   * @param {Error} error
+   * @return {boolean}
+   */
+  isRetryableError(error) {
+    // node-ssh rejects with this message when a connection is lost
+    const message = error && error.message || '';
+    return super.isRetryableError(error) ||
+      /Not connected|No response from server|Channel open failure/
+        .test(message);
+  }
+
   getRemoteFilePath(localFilePath, build) {
     localFilePath = path.basename(localFilePath);
     return path.posix.join(
@@ -179,7 +382,8 @@ class SshTransport extends AbstractTransport {
   saveTemporaryFile(content) {
     const filePath = path.join(
       os.tmpdir(),
-      'publisher-update-' + Number(new Date()) + '.json'
+      `publisher-update-${process.pid}-` +
+        `${crypto.randomBytes(4).toString('hex')}.json`
     );
     return new Promise((resolve, reject) => {
       fs.writeFile(filePath, content, (err) => {
@@ -213,3 +417,15 @@ class SshTransport extends AbstractTransport {
 }
 
 module.exports = SshTransport;
+
+function shellQuote(text) {
+  return `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+function removeLocalFile(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+  } catch (e) {
+    // It's a temporary file, so it's not important if it's already removed
+  }
+}
@@ -1,6 +1,7 @@
 'use strict';
 
 const { expect } = require('chai');
+const fs         = require('fs');
 
 const SshTransport = require('./ssh');
 
@@ -29,6 +30,31 @@ describe('SshTransport', () => {
     expect(options.usePrivateKey).to.be.true;
     expect(options.privateKeyPath).not.to.be.undefined;
   });
+
+  it('should remove a local temporary file if an upload fails', () => {
+    const ssh = new NoExceptionSshTransport({
+      transport: {
+        remoteUrl: 'http://example.com',
+        remotePath: '/',
+        password: 'pass'
+      },
+      updatesJsonUrl: 'http://example.com'
+    });
+    let localPath;
+    ssh.q = Promise.resolve();
+    ssh.putFileAtomically = (filePath) => {
+      localPath = filePath;
+      return Promise.reject(new Error('Connection lost'));
+    };
+
+    return ssh.pushRootFile('updates.json', '{}')
+      .then(() => {
+        throw new Error('pushRootFile should fail');
+      }, (e) => {
+        expect(e.message).to.equal('Connection lost');
+        expect(fs.existsSync(localPath)).to.be.false;
+      });
+  });
 });
 
 function getTransportOptions(config) {
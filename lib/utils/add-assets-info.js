@@ -5,6 +5,8 @@ const path = require('path');
 
 module.exports.addAssetsInfo = addAssetsInfo;
 module.exports.getAvailableBuilds = getAvailableBuilds;
+module.exports.findRemoteAssets = findRemoteAssets;
+module.exports.getAssetsData = getAssetsData;
 
 const ASSETS_DATA = {
   'darwin-x64': {
@@ -19,6 +21,30 @@ const ASSETS_DATA = {
       path.join('mac', '{productName}-{version}-mac.zip')
     ]
   },
+  'darwin-arm64': {
+    install: [
+      '{productName}-{version}-arm64.dmg',
+      path.join('mac-arm64', '{productName}-{version}-arm64.dmg')
+    ],
+    metaFile: null,
+    update: [
+      '{productName}-{version}-arm64-mac.zip',
+      '{productName}-darwin-arm64-{version}.zip',
+      path.join('mac-arm64', '{productName}-{version}-arm64-mac.zip')
+    ]
+  },
+  'darwin-universal': {
+    install: [
+      '{productName}-{version}-universal.dmg',
+      path.join('mac-universal', '{productName}-{version}-universal.dmg')
+    ],
+    metaFile: null,
+    update: [
+      '{productName}-{version}-universal-mac.zip',
+      '{productName}-darwin-universal-{version}.zip',
+      path.join('mac-universal', '{productName}-{version}-universal-mac.zip')
+    ]
+  },
   'linux-ia32': {
     install: '{name}-{version}-ia32.AppImage',
     metaFile: null,
@@ -34,6 +60,11 @@ const ASSETS_DATA = {
     metaFile: null,
     update: '{name}-{version}-armv7l.AppImage'
   },
+  'linux-arm64': {
+    install: '{name}-{version}-arm64.AppImage',
+    metaFile: null,
+    update: '{name}-{version}-arm64.AppImage'
+  },
   'win32-ia32': {
     install: [
       path.join('squirrel-windows-ia32', '{productName} Setup {version}.exe'),
@@ -62,6 +93,21 @@ const ASSETS_DATA = {
       path.join('squirrel-windows', '{name}-{version}-full.nupkg'),
       path.join('win', '{name}-{version}-full.nupkg')
     ]
+  },
+  'win32-arm64': {
+    install: [
+      path.join('squirrel-windows-arm64', '{productName} Setup {version}.exe'),
+      path.join('win-arm64', '{productName} Setup {version}.exe'),
+      path.join('win-arm64', '{productName} Setup {version}-arm64.exe')
+    ],
+    metaFile: [
+      path.join('squirrel-windows-arm64', 'RELEASES'),
+      path.join('win-arm64', 'RELEASES')
+    ],
+    update: [
+      path.join('squirrel-windows-arm64', '{name}-{version}-full.nupkg'),
+      path.join('win-arm64', '{name}-{version}-full.nupkg')
+    ]
   }
 };
 
@@ -75,14 +121,28 @@ const ASSETS_DATA = {
  */
 function addAssetsInfo(build, options) {
   const name = `${build.platform}-${build.arch}`;
-  const meta = ASSETS_DATA[name];
+  const meta = getAssetsData(options)[name];
   if (!meta) {
     throw new Error(`Unknown build type ${name}`);
   }
 
   const assetsPath = path.resolve(options.path);
+  const maskOptions = Object.assign({}, options, {
+    platform: build.platform,
+    arch: build.arch
+  });
   const assets = Object.keys(meta).reduce((result, name) => {
-    const filePath = resolveAssetPath(assetsPath, meta[name], options);
+    const asset = normalizeAssetDefinition(meta[name]);
+    if (!asset) {
+      return result;
+    }
+
+    const filePath = resolveAssetPath(
+      assetsPath,
+      asset.masks,
+      maskOptions,
+      !asset.optional
+    );
     if (filePath) {
       result[name] = filePath;
     }
@@ -96,6 +156,61 @@ function addAssetsInfo(build, options) {
   }, build);
 }
 
+/**
+ * Return ASSETS_DATA extended by options.assets. Each key of options.assets
+ * is platform-arch. Its value is merged with the built-in definition, so it's
+ * possible to override some assets or add new ones. Set an asset to null
+ * to skip it, or set the whole platform-arch to false to disable it.
+ *
+ * @param {object} [options]
+ * @return {object}
+ */
+function getAssetsData(options = {}) {
+  const custom = options.assets || {};
+  const result = {};
+
+  Object.keys(ASSETS_DATA).forEach((key) => {
+    result[key] = Object.assign({}, ASSETS_DATA[key]);
+  });
+
+  Object.keys(custom).forEach((key) => {
+    if (!custom[key]) {
+      delete result[key];
+      return;
+    }
+
+    result[key] = Object.assign({}, result[key], custom[key]);
+  });
+
+  return result;
+}
+
+/**
+ * An asset could be defined as a mask, an array of candidate masks or
+ * an object { masks: string|Array<string>, optional: boolean }
+ *
+ * @param {string|Array<string>|object|null} definition
+ * @return {{masks: Array<string>, optional: boolean}|null}
+ */
+function normalizeAssetDefinition(definition) {
+  if (!definition) {
+    return null;
+  }
+
+  if (typeof definition === 'string' || Array.isArray(definition)) {
+    return { masks: [].concat(definition), optional: false };
+  }
+
+  if (!definition.masks) {
+    return null;
+  }
+
+  return {
+    masks: [].concat(definition.masks),
+    optional: Boolean(definition.optional)
+  };
+}
+
 // https://github.com/electron-userland/electron-builder/issues/651
 function convertWindowsVersion(version) {
   const parts = version.split('-');
@@ -126,19 +241,16 @@ function resolveAssetPath(assetsPath, assetMask, options, exception = true) {
       .map((mask) => resolveAssetPath(assetsPath, mask, options, false))
       .find(Boolean);
 
-    return filePath || resolveAssetPath(assetsPath, assetMask[0], options);
+    return filePath ||
+      resolveAssetPath(assetsPath, assetMask[0], options, exception);
   }
 
-  const version = /\.nupkg$/.test(assetMask)
-    ? convertWindowsVersion(options.version)
-    : options.version;
+  const fileName = fillAssetMask(assetMask, options.version, options);
+  let filePath = path.join(assetsPath, fileName);
 
-  const json = options.packageJson;
-  const fileName = assetMask
-    .replace('{name}', json.name)
-    .replace('{productName}', json.productName || json.name)
-    .replace('{version}', version);
-  const filePath = path.join(assetsPath, fileName);
+  if (isGlob(fileName)) {
+    filePath = findFileByGlob(assetsPath, fileName) || filePath;
+  }
 
   if (!fs.existsSync(filePath)) {
     if (exception) {
@@ -157,6 +269,131 @@ function resolveAssetPath(assetsPath, assetMask, options, exception = true) {
   return filePath;
 }
 
+/**
+ * Replace placeholders in an asset mask by actual values
+ *
+ * @param {string} assetMask
+ * @param {string} version
+ * @param {object} options
+ * @return {string}
+ */
+function fillAssetMask(assetMask, version, options) {
+  if (/\.nupkg$/.test(assetMask)) {
+    version = convertWindowsVersion(version);
+  }
+
+  const json = options.packageJson || {};
+  // electron-builder artifactName syntax ${name} is supported as well
+  return assetMask
+    .replace(/\$?\{name\}/g, json.name)
+    .replace(/\$?\{productName\}/g, json.productName || json.name)
+    .replace(/\$?\{version\}/g, version)
+    .replace(/\$?\{platform\}/g, options.platform)
+    .replace(/\$?\{arch\}/g, options.arch);
+}
+
+function isGlob(mask) {
+  return /[*?]/.test(mask);
+}
+
+/**
+ * Convert a file name mask with * and ? wildcards to RegExp
+ *
+ * @param {string} mask
+ * @return {RegExp}
+ */
+function globToRegExp(mask) {
+  const pattern = mask
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Find the first file which matches the mask. Wildcards are allowed in any
+ * part of the path
+ *
+ * @param {string} rootPath
+ * @param {string} mask Path relative to rootPath
+ * @return {string|null}
+ */
+function findFileByGlob(rootPath, mask) {
+  const found = mask.split(/[\\/]/).reduce((paths, part) => {
+    return paths.reduce((result, dirPath) => {
+      if (!isGlob(part)) {
+        result.push(path.join(dirPath, part));
+        return result;
+      }
+
+      let files;
+      try {
+        files = fs.readdirSync(dirPath).sort();
+      } catch (e) {
+        files = [];
+      }
+
+      const regExp = globToRegExp(part);
+      files
+        .filter(file => regExp.test(file))
+        .forEach(file => result.push(path.join(dirPath, file)));
+
+      return result;
+    }, []);
+  }, [rootPath]);
+
+  return found.find(filePath => fs.existsSync(filePath)) || null;
+}
+
+/**
+ * Find assets of the build among files which are already stored on a
+ * hosting. A transport could change a file name a bit (spaces to dashes
+ * or dots), so names are compared without such characters.
+ *
+ * @param {object} build
+ * @param {Array<string>} fileNames
+ * @param {object} options
+ * @return {object} Asset name => file name
+ */
+function findRemoteAssets(build, fileNames, options) {
+  const name = `${build.platform}-${build.arch}`;
+  const meta = getAssetsData(options)[name];
+  if (!meta) {
+    throw new Error(`Unknown build type ${name}`);
+  }
+
+  const maskOptions = Object.assign({}, options, {
+    platform: build.platform,
+    arch: build.arch
+  });
+  const simplify = fileName => fileName.replace(/[\s.-]/g, '').toLowerCase();
+
+  return Object.keys(meta).reduce((result, assetName) => {
+    const asset = normalizeAssetDefinition(meta[assetName]);
+    if (!asset) return result;
+
+    const fileName = asset.masks
+      .map((mask) => {
+        return path.basename(fillAssetMask(mask, build.version, maskOptions));
+      })
+      .map(simplify)
+      .map((expected) => {
+        if (isGlob(expected)) {
+          const regExp = globToRegExp(expected);
+          return fileNames.find(f => regExp.test(simplify(f)));
+        }
+        return fileNames.find(f => simplify(f) === expected);
+      })
+      .find(Boolean);
+
+    if (fileName) {
+      result[assetName] = fileName;
+    }
+
+    return result;
+  }, {});
+}
+
 /**
  * Возвращает список существующих ключей (builds) массива ASSETS_DATA
  *
@@ -166,9 +403,14 @@ function resolveAssetPath(assetsPath, assetMask, options, exception = true) {
 function getAvailableBuilds(options) {
   const assetsPath = path.resolve(options.path); // преобразует последовательность путей или сегментов путей в абсолютный
 
-  return getInstallersArrayMap()
+  return getInstallersArrayMap(getAssetsData(options))
     .map(([build, installerMask]) => {
-      return [build, resolveAssetPath(assetsPath, installerMask, options, false)];
+      const [platform, arch] = build.split('-');
+      const maskOptions = Object.assign({}, options, { platform, arch });
+      return [
+        build,
+        resolveAssetPath(assetsPath, installerMask, maskOptions, false)
+      ];
     })
     .filter(([build, installerPath]) => {
       return Boolean(installerPath);
@@ -185,15 +427,14 @@ function getAvailableBuilds(options) {
  * Собирает и возвращает массив, в котором каждый элемент это массив, с ключом и путём
  * [ [key, path], [key, path] ]
  *
+ * @param {object} assetsData
  * @returns {Array}
  */
-function getInstallersArrayMap() {
-  return Object.keys(ASSETS_DATA)
+function getInstallersArrayMap(assetsData) {
+  return Object.keys(assetsData)
     .reduce((sum, key) => { // собирает все значения key в sum, в числовом массиве применяется для получения суммы
-      let installers = ASSETS_DATA[key].install;
-      if (typeof installers === 'string') {
-        installers = [installers];
-      }
+      const installer = normalizeAssetDefinition(assetsData[key].install);
+      const installers = installer ? installer.masks : [];
 
       installers.forEach((installerPath) => {
         sum.push([key, installerPath]);
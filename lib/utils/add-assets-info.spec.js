@@ -0,0 +1,98 @@
+'use strict';
+
+const { expect } = require('chai');
+const fs         = require('fs');
+const os         = require('os');
+const path       = require('path');
+
+const {
+  addAssetsInfo,
+  findRemoteAssets,
+  getAssetsData,
+  getAvailableBuilds
+} = require('./add-assets-info');
+
+describe('Add assets info', () => {
+  const distPath = path.join(os.tmpdir(), 'publisher-assets-test');
+  const options = {
+    path: distPath,
+    version: '1.0.0',
+    packageJson: { name: 'example', productName: 'Example' },
+    assets: {
+      'linux-x64': {
+        install: 'Example-{version}-{arch}.AppImage',
+        update: 'Example-{version}-{arch}.AppImage',
+        checksum: { masks: 'checksums/*.txt', optional: true },
+        debug: { masks: 'debug-{version}.zip', optional: true }
+      },
+      'linux-ia32': false
+    }
+  };
+
+  before(() => {
+    fs.mkdirSync(path.join(distPath, 'checksums'), { recursive: true });
+    fs.writeFileSync(path.join(distPath, 'Example-1.0.0-x64.AppImage'), '');
+    fs.writeFileSync(path.join(distPath, 'checksums', 'sha.txt'), '');
+  });
+
+  after(() => {
+    fs.rmSync(distPath, { recursive: true, force: true });
+  });
+
+  it('should merge custom asset definitions with defaults', () => {
+    const data = getAssetsData(options);
+
+    expect(data['linux-ia32']).to.equal(undefined);
+    expect(data['linux-x64'].metaFile).to.equal(null);
+    expect(data['linux-x64'].install)
+      .to.equal('Example-{version}-{arch}.AppImage');
+  });
+
+  it('should resolve placeholders, wildcards and optional assets', () => {
+    const build = addAssetsInfo({ platform: 'linux', arch: 'x64' }, options);
+
+    expect(build.assets).to.deep.equal({
+      install: path.join(distPath, 'Example-1.0.0-x64.AppImage'),
+      update: path.join(distPath, 'Example-1.0.0-x64.AppImage'),
+      checksum: path.join(distPath, 'checksums', 'sha.txt')
+    });
+  });
+
+  it('should throw an error for a disabled build type', () => {
+    expect(() => addAssetsInfo({ platform: 'linux', arch: 'ia32' }, options))
+      .to.throw('Unknown build type linux-ia32');
+  });
+
+  it('should find custom assets among remote files', () => {
+    const build = { platform: 'linux', arch: 'x64', version: '1.0.0' };
+    const files = ['Example-1.0.0-x64.AppImage', 'sha.txt'];
+
+    expect(findRemoteAssets(build, files, options)).to.deep.equal({
+      install: 'Example-1.0.0-x64.AppImage',
+      update: 'Example-1.0.0-x64.AppImage',
+      checksum: 'sha.txt'
+    });
+  });
+
+  it('should discover arm64 builds', () => {
+    const armPath = path.join(os.tmpdir(), 'publisher-assets-arm-test');
+    fs.mkdirSync(armPath, { recursive: true });
+    fs.writeFileSync(path.join(armPath, 'Example-1.0.0-arm64.dmg'), '');
+    fs.writeFileSync(path.join(armPath, 'Example-1.0.0-arm64-mac.zip'), '');
+    fs.writeFileSync(path.join(armPath, 'example-1.0.0-arm64.AppImage'), '');
+
+    const armOptions = Object.assign({}, options, { path: armPath });
+    const builds = getAvailableBuilds(armOptions);
+    const darwin = addAssetsInfo(
+      { platform: 'darwin', arch: 'arm64' },
+      armOptions
+    );
+    fs.rmSync(armPath, { recursive: true, force: true });
+
+    expect(builds).to.deep.equal(['darwin-arm64', 'linux-arm64']);
+    expect(darwin.assets).to.deep.equal({
+      install: path.join(armPath, 'Example-1.0.0-arm64.dmg'),
+      update: path.join(armPath, 'Example-1.0.0-arm64-mac.zip')
+    });
+  });
+});
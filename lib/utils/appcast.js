@@ -0,0 +1,210 @@
+'use strict';
+
+const semver = require('semver');
+
+const { findRemoteAssets }         = require('./add-assets-info');
+const { parseBuildId, matchBuild } = require('./build-id');
+
+module.exports.getAppcastName = getAppcastName;
+module.exports.makeAppcast = makeAppcast;
+module.exports.publishAppcast = publishAppcast;
+
+/**
+ * Return a name of the appcast which serves the build, like appcast.xml
+ * for prod darwin-x64, appcast-arm64.xml or appcast-beta-universal.xml.
+ * Each arch has its own feed, since Sparkle doesn't filter items by arch.
+ *
+ * @param {object} build
+ * @return {string}
+ */
+function getAppcastName(build) {
+  const parts = ['appcast'];
+  if (build.channel !== 'prod') {
+    parts.push(build.channel);
+  }
+  if (build.arch !== 'x64') {
+    parts.push(build.arch);
+  }
+  return parts.join('-') + '.xml';
+}
+
+/**
+ * Regenerate the appcast of the build channel and arch from all darwin
+ * builds stored on a hosting and push it next to updates.json
+ *
+ * @param {object} build
+ * @param {AbstractTransport} transport
+ * @param {object} options
+ * @param {object} [updatesJson] It's fetched from a hosting if not set
+ * @return {Promise<string>} Appcast url
+ */
+function publishAppcast(build, transport, options, updatesJson) {
+  const channel = build.channel;
+  const fetchUpdatesJson = updatesJson
+    ? Promise.resolve(updatesJson)
+    : transport.fetchUpdatesJson();
+
+  return Promise.all([fetchUpdatesJson, transport.fetchBuildsInfo()])
+    .then(([json, builds]) => {
+      return collectItems(build, json || {}, builds, transport, options);
+    })
+    .then((items) => {
+      const title = getProductName(options);
+      const xml = makeAppcast(items, {
+        title: channel === 'prod' ? title : `${title} (${channel})`,
+        link: transport.getUpdatesJsonUrl()
+      });
+
+      return transport.pushRootFile(getAppcastName(build), xml);
+    });
+}
+
+/**
+ * @param {Array<object>} items
+ * @param {string} items[].title
+ * @param {string} items[].version
+ * @param {string} items[].url
+ * @param {number} [items[].length]
+ * @param {string} [items[].notes]
+ * @param {Date} [items[].date]
+ * @param {{title: string, link: string}} channel
+ * @return {string}
+ */
+function makeAppcast(items, channel) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" ' +
+      'xmlns:sparkle="http://www.andymatuschak.org/xml-namespaces/sparkle">',
+    '  <channel>',
+    `    <title>${escape(channel.title)}</title>`,
+    `    <link>${escape(channel.link)}</link>`,
+    `    <description>${escape(channel.title)} updates</description>`
+  ];
+
+  items.forEach((item) => {
+    lines.push('    <item>');
+    lines.push(`      <title>${escape(item.title)}</title>`);
+    if (item.date) {
+      lines.push(`      <pubDate>${item.date.toUTCString()}</pubDate>`);
+    }
+    if (item.notes) {
+      lines.push(`      <description>${cdata(item.notes)}</description>`);
+    }
+    lines.push(
+      `      <enclosure url="${escape(item.url)}" ` +
+      `sparkle:version="${escape(item.version)}" ` +
+      `sparkle:shortVersionString="${escape(item.version)}" ` +
+      (item.length !== undefined ? `length="${item.length}" ` : '') +
+      'type="application/octet-stream"/>'
+    );
+    lines.push('    </item>');
+  });
+
+  lines.push('  </channel>');
+  lines.push('</rss>');
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Make a list of appcast items. Builds referenced by updates.json are
+ * described by their entries, other builds are looked up on a hosting
+ */
+function collectItems(target, updatesJson, builds, transport, options) {
+  const filter = {
+    platform: 'darwin',
+    arch: target.arch,
+    channel: target.channel
+  };
+  const ids = builds
+    .filter(info => matchBuild(parseBuildId(info.id), filter))
+    .map(info => info.id);
+
+  const entries = {};
+  Object.keys(updatesJson).forEach((key) => {
+    const entry = updatesJson[key];
+    if (!entry || !entry.version) return;
+
+    const id = `${key}-v${entry.version}`;
+    if (!matchBuild(parseBuildId(id), filter)) return;
+
+    entries[id] = entry;
+    if (ids.indexOf(id) === -1) {
+      ids.push(id);
+    }
+  });
+
+  const dates = {};
+  builds.forEach((info) => {
+    dates[info.id] = info.date;
+  });
+
+  const sorted = ids
+    .map(parseBuildId)
+    .filter(build => build && semver.valid(build.version))
+    .sort((a, b) => semver.rcompare(a.version, b.version));
+
+  const items = [];
+  return sorted.reduce((promise, build) => {
+    const id = transport.getBuildId(build);
+    return promise
+      .then(() => makeItem(build, entries[id], transport, options))
+      .then((item) => {
+        if (!item) return;
+        item.date = item.date || dates[id];
+        items.push(item);
+      });
+  }, Promise.resolve())
+    .then(() => items);
+}
+
+function makeItem(build, entry, transport, options) {
+  const title = `${getProductName(options)} ${build.version} (${build.arch})`;
+
+  // update-local points to the zip, while update points to release.json
+  if (entry && entry['update-local']) {
+    const [buildId, fileName] = entry['update-local'].split('/');
+    return Promise.resolve({
+      title,
+      version: build.version,
+      url: transport.getFileUrl(fileName, parseBuildId(buildId) || build),
+      length: entry['update-size'],
+      notes: entry.notes
+    });
+  }
+
+  return transport.fetchBuildFiles(build)
+    .then((fileNames) => {
+      const assets = findRemoteAssets(build, fileNames, options);
+      if (!assets.update) {
+        return null;
+      }
+
+      const url = transport.getFileUrl(assets.update, build);
+      return transport.fetchFileInfo(url, build, assets.update)
+        .catch(() => ({}))
+        .then(info => ({
+          title,
+          version: build.version,
+          url,
+          length: info.size
+        }));
+    });
+}
+
+function getProductName(options) {
+  const json = options.packageJson || {};
+  return json.productName || json.name || 'Updates';
+}
+
+function escape(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function cdata(text) {
+  return `<![CDATA[${String(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
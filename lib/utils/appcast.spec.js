@@ -0,0 +1,96 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const TestTransport = require('../../spec/test-transport');
+const { getAppcastName, makeAppcast, publishAppcast } = require('./appcast');
+
+describe('appcast.xml', () => {
+  it('should escape item values', () => {
+    const xml = makeAppcast([{
+      title: 'A & B 1.0.0',
+      version: '1.0.0',
+      url: 'http://example.com/a?b=1&c=2',
+      notes: 'Fixed ]]> parsing'
+    }], { title: 'A & B', link: 'http://example.com/updates.json' });
+
+    expect(xml).to.contain('<title>A &amp; B 1.0.0</title>');
+    expect(xml).to.contain('url="http://example.com/a?b=1&amp;c=2"');
+    expect(xml).to.contain(
+      '<description><![CDATA[Fixed ]]]]><![CDATA[> parsing]]></description>'
+    );
+  });
+
+  it('should name a feed by channel and arch', () => {
+    const build = { platform: 'darwin', arch: 'x64', channel: 'prod' };
+
+    expect(getAppcastName(build)).to.equal('appcast.xml');
+    expect(getAppcastName(Object.assign({}, build, { arch: 'arm64' })))
+      .to.equal('appcast-arm64.xml');
+    expect(getAppcastName(Object.assign({}, build, { channel: 'beta' })))
+      .to.equal('appcast-beta.xml');
+    expect(getAppcastName({ arch: 'universal', channel: 'beta' }))
+      .to.equal('appcast-beta-universal.xml');
+  });
+
+  it('should list all darwin versions of the channel and arch', () => {
+    const options = {
+      transport: { remoteUrl: 'http://example.com' },
+      packageJson: { name: 'example', productName: 'Example' }
+    };
+    const transport = new TestTransport(options);
+    Object.assign(transport, {
+      fetchUpdatesJson() {
+        return Promise.resolve({
+          'darwin-x64-prod': {
+            update: 'http://example.com/darwin-x64-prod-v1.1.0/release.json',
+            'update-local': 'darwin-x64-prod-v1.1.0/Example-1.1.0-mac.zip',
+            'update-size': 200,
+            notes: 'New features',
+            version: '1.1.0'
+          }
+        });
+      },
+
+      fetchBuildsInfo() {
+        return Promise.resolve([
+          { id: 'darwin-x64-prod-v1.0.0', date: new Date(1000) },
+          { id: 'darwin-x64-prod-v1.1.0', date: new Date(2000) },
+          { id: 'darwin-x64-beta-v1.2.0', date: new Date(3000) },
+          { id: 'darwin-arm64-prod-v1.1.0', date: new Date(2000) },
+          { id: 'linux-x64-prod-v1.1.0', date: new Date(2000) }
+        ]);
+      },
+
+      fetchBuildFiles(build) {
+        return Promise.resolve([
+          `Example-${build.version}.dmg`,
+          `Example-${build.version}-mac.zip`,
+          'release.json'
+        ]);
+      },
+
+      fetchFileInfo() {
+        return Promise.resolve({ exists: true, size: 100 });
+      }
+    });
+
+    const build = { platform: 'darwin', arch: 'x64', channel: 'prod' };
+    return publishAppcast(build, transport, options)
+      .then(() => {
+        expect(Object.keys(transport.rootFiles)).to.deep.equal(['appcast.xml']);
+
+        const xml = transport.rootFiles['appcast.xml'];
+        const urls = xml.match(/url="[^"]+"/g);
+
+        expect(urls).to.deep.equal([
+          'url="http://example.com/darwin-x64-prod-v1.1.0/Example-1.1.0-mac.zip"',
+          'url="http://example.com/darwin-x64-prod-v1.0.0/Example-1.0.0-mac.zip"'
+        ]);
+        expect(xml).to.contain('length="200"');
+        expect(xml).to.contain('length="100"');
+        expect(xml).to.contain('<![CDATA[New features]]>');
+        expect(xml).to.contain(`<pubDate>${new Date(2000).toUTCString()}`);
+      });
+  });
+});
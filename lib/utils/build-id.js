@@ -0,0 +1,36 @@
+'use strict';
+
+module.exports.parseBuildId = parseBuildId;
+module.exports.matchBuild = matchBuild;
+
+/**
+ * Convert a full buildId like win32-x64-prod-v1.0.0 to a build object
+ *
+ * @param {string} buildId
+ * @return {{platform: string, arch: string, channel: string,
+ *   version: string}|null}
+ */
+function parseBuildId(buildId) {
+  const match = String(buildId).match(/^(\w+)-(\w+)-(\w+)-v([\w.-]+)$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, platform, arch, channel, version] = match;
+  return { platform, arch, channel, version };
+}
+
+/**
+ * Check whether the build matches all fields which are set in the filter
+ *
+ * @param {object} build
+ * @param {object} filter Partial build, like { platform: 'win32' }
+ * @return {boolean}
+ */
+function matchBuild(build, filter) {
+  if (!build) return false;
+
+  return ['platform', 'arch', 'channel', 'version'].every((field) => {
+    return !filter[field] || filter[field] === build[field];
+  });
+}
@@ -0,0 +1,51 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs     = require('fs');
+
+module.exports.createChecksums = createChecksums;
+module.exports.hashFile = hashFile;
+
+/**
+ * Create an object which calculates sha256, sha512 and size of data
+ * passed chunk by chunk
+ *
+ * @return {{update: function(Buffer), digest: function(): object}}
+ */
+function createChecksums() {
+  const sha256 = crypto.createHash('sha256');
+  const sha512 = crypto.createHash('sha512');
+  let size = 0;
+
+  return {
+    update(chunk) {
+      sha256.update(chunk);
+      sha512.update(chunk);
+      size += chunk.length;
+    },
+
+    digest() {
+      return {
+        sha256: sha256.digest('hex'),
+        sha512: sha512.digest('hex'),
+        size
+      };
+    }
+  };
+}
+
+/**
+ * Calculate checksums of a local file
+ *
+ * @param {string} filePath
+ * @return {Promise<{sha256: string, sha512: string, size: number}>}
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const checksums = createChecksums();
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => checksums.update(chunk))
+      .on('end', () => resolve(checksums.digest()));
+  });
+}
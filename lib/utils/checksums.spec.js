@@ -0,0 +1,29 @@
+'use strict';
+
+const { expect } = require('chai');
+const fs         = require('fs');
+const os         = require('os');
+const path       = require('path');
+
+const { hashFile } = require('./checksums');
+
+describe('Checksums', () => {
+  it('should calculate sha256, sha512 and size of a file', () => {
+    const filePath = path.join(os.tmpdir(), 'publisher-checksums-test.txt');
+    fs.writeFileSync(filePath, 'test');
+
+    return hashFile(filePath)
+      .then((checksums) => {
+        fs.unlinkSync(filePath);
+        expect(checksums).to.deep.equal({
+          sha256: '9f86d081884c7d659a2feaa0c55ad015' +
+            'a3bf4f1b2b0b822cd15d6c15b0f00a08',
+          sha512: 'ee26b0dd4af7e749aa1a8ee3c10ae992' +
+            '3f618980772e473f8819a5d4940e0db2' +
+            '7ac185f8a0e1d5f84f88bc887fd67b14' +
+            '3732c304cc5fa9ad8e6f57f50028a8ff',
+          size: 4
+        });
+      });
+  });
+});
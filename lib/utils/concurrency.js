@@ -0,0 +1,77 @@
+'use strict';
+
+module.exports.mapLimit = mapLimit;
+module.exports.validateConcurrency = validateConcurrency;
+module.exports.getConcurrency = getConcurrency;
+
+/**
+ * Call iterator for each item, but no more than limit calls at the same
+ * time. Results are in the same order as items. If a call fails, no new
+ * calls are started, and the promise is rejected with the first error
+ * when all running calls are finished, so a caller can clean up after them
+ *
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} iterator (item, index) => Promise
+ * @return {Promise<Array>}
+ */
+function mapLimit(items, limit, iterator) {
+  const results = new Array(items.length);
+  let next = 0;
+  let error = null;
+
+  function worker() {
+    if (error || next >= items.length) {
+      return Promise.resolve();
+    }
+
+    const index = next++;
+    return Promise.resolve()
+      .then(() => iterator(items[index], index))
+      .then((result) => {
+        results[index] = result;
+        return worker();
+      }, (e) => {
+        error = error || e;
+      });
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.max(1, Math.min(limit, items.length)); i++) {
+    workers.push(worker());
+  }
+
+  return Promise.all(workers).then(() => {
+    if (error) {
+      throw error;
+    }
+    return results;
+  });
+}
+
+/**
+ * @param {*} value A value of the concurrency option
+ * @return {number}
+ */
+function validateConcurrency(value) {
+  if (value === undefined) {
+    return 1;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`concurrency should be a positive integer, got ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Return the concurrency option limited by the transport capabilities
+ * @param {object} options
+ * @return {number}
+ */
+function getConcurrency(options) {
+  const transport = options.transport && options.transport.instance;
+  const max = transport ? transport.getMaxConcurrency() : Infinity;
+  return Math.min(options.concurrency || 1, max);
+}
@@ -0,0 +1,67 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const { mapLimit, validateConcurrency } = require('./concurrency');
+
+describe('Concurrency', () => {
+  it('should not run more than limit calls at the same time', () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    return mapLimit([30, 10, 20, 5, 15], 2, (ms) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      return new Promise(resolve => setTimeout(resolve, ms))
+        .then(() => {
+          running--;
+          return ms * 2;
+        });
+    })
+      .then((results) => {
+        expect(maxRunning).to.equal(2);
+        expect(results).to.deep.equal([60, 20, 40, 10, 30]);
+      });
+  });
+
+  it('should stop starting new calls after a failure', () => {
+    const called = [];
+
+    return mapLimit([1, 2, 3], 1, (item) => {
+      called.push(item);
+      return item === 2 ? Promise.reject(new Error('Failed')) : item;
+    })
+      .then(() => {
+        throw new Error('mapLimit should fail');
+      }, (e) => {
+        expect(e.message).to.equal('Failed');
+        expect(called).to.deep.equal([1, 2]);
+      });
+  });
+
+  it('should wait for running calls before rejecting', () => {
+    const finished = [];
+
+    return mapLimit([1, 2, 3, 4], 2, (item) => {
+      if (item === 1) {
+        return Promise.reject(new Error('Failed'));
+      }
+
+      return new Promise(resolve => setTimeout(resolve, 20))
+        .then(() => finished.push(item));
+    })
+      .then(() => {
+        throw new Error('mapLimit should fail');
+      }, (e) => {
+        expect(e.message).to.equal('Failed');
+        expect(finished).to.deep.equal([2]);
+      });
+  });
+
+  it('should validate the concurrency option', () => {
+    expect(validateConcurrency(undefined)).to.equal(1);
+    expect(validateConcurrency('4')).to.equal(4);
+    expect(() => validateConcurrency(0)).to.throw('positive integer');
+    expect(() => validateConcurrency('a')).to.throw('positive integer');
+  });
+});
@@ -0,0 +1,29 @@
+'use strict';
+
+const path = require('path');
+
+module.exports.getContentTypeByFileName = getContentTypeByFileName;
+
+/**
+ * @param {string} fileName
+ * @return {string}
+ */
+function getContentTypeByFileName(fileName) {
+  const name = path.basename(fileName).toLowerCase();
+  const ext = path.extname(fileName).toLowerCase();
+
+  switch (ext) {
+    case '.json': return 'application/json';
+    case '.yml': return 'text/yaml';
+    case '.xml': return 'application/xml';
+    case '.dmg': return 'application/x-apple-diskimage';
+    case '.zip': return 'application/zip';
+    case '.exe': return 'application/x-msdownload';
+    case '.nupkg': return 'application/zip';
+    case '.appimage': return 'application/x-executable';
+    case '.deb': return 'application/vnd.debian.binary-package';
+    case '.rpm': return 'application/x-rpm';
+    case '': return name === 'releases' ? 'text/plain' : 'application/octet-stream';
+    default: return 'application/octet-stream';
+  }
+}
@@ -0,0 +1,51 @@
+'use strict';
+
+module.exports = diffJson;
+
+/**
+ * Compare two objects serialized in the same way as updates.json and
+ * return a line-by-line diff. Added lines are prefixed with +, removed
+ * with -, unchanged lines with a space.
+ *
+ * @param {object} before
+ * @param {object} after
+ * @return {string}
+ */
+function diffJson(before, after) {
+  const a = JSON.stringify(before || {}, null, '  ').split('\n');
+  const b = JSON.stringify(after || {}, null, '  ').split('\n');
+
+  // Longest common subsequence lengths for each pair of suffixes
+  const lcs = [];
+  for (let i = a.length; i >= 0; i--) {
+    lcs[i] = [];
+    for (let j = b.length; j >= 0; j--) {
+      if (i === a.length || j === b.length) {
+        lcs[i][j] = 0;
+      } else if (a[i] === b[j]) {
+        lcs[i][j] = lcs[i + 1][j + 1] + 1;
+      } else {
+        lcs[i][j] = Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push('  ' + a[i]);
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      lines.push('+ ' + b[j]);
+      j++;
+    } else {
+      lines.push('- ' + a[i]);
+      i++;
+    }
+  }
+
+  return lines.join('\n');
+}
@@ -7,6 +7,15 @@ module.exports = getOptionsFromCli;
 
 const VALID_COMMANDS = commands.NAMES; // массив допустимых команд
 
+// Flags which don't take a value, so the next argument stays a build id
+const BOOLEAN_OPTIONS = [
+  'dry-run',
+  'long',
+  'appcast',
+  'electron-updater',
+  'mandatory'
+];
+
 /**
  * Разбор параметров и опции (начинаются с - или --) командной строки.
  *
@@ -22,9 +31,16 @@ function getOptionsFromCli(argv) {
       transport: 't',
       path: 'p',
       debug: 'd'
-    }
+    },
+    boolean: BOOLEAN_OPTIONS
   });
 
+  // minimist sets false to all boolean flags which aren't passed, but
+  // an absent flag shouldn't override a value from a config file
+  BOOLEAN_OPTIONS
+    .filter(name => !isFlagPassed(argv, name))
+    .forEach(name => delete cli[name]);
+
   if (cli.help || cli._[0] === 'help') {
     displayHelp();
   }
@@ -38,6 +54,18 @@ function getOptionsFromCli(argv) {
   return options;
 }
 
+/**
+ * @param {Array<string>} argv
+ * @param {string} name
+ * @return {boolean}
+ */
+function isFlagPassed(argv, name) {
+  return argv.some((arg) => {
+    return arg === `--${name}` || arg === `--no-${name}` ||
+      arg.startsWith(`--${name}=`);
+  });
+}
+
 /**
  * Разбор параметров и опции командной строки и дальнейшая подготовка объекта с опциями
  *
@@ -64,6 +92,19 @@ function transformCliToOptions(cli) {
     args = args.slice(1);
   }
 
+  // restore [versionId]
+  if (options.command === 'restore' && args[0] !== undefined) {
+    options.versionId = String(args[0]);
+    args = args.slice(1);
+  }
+
+  // rollout [buildId] [percent]
+  const last = args[args.length - 1];
+  if (options.command === 'rollout' && typeof last === 'number') {
+    options.rollout = last;
+    args = args.slice(0, -1);
+  }
+
   options.builds = args.filter(a => Boolean(a));
 
   for (let field in cli) {
@@ -106,6 +147,23 @@ Commands (default is publish):
   replace [configFile] [buildId]            Replace the current build.
   remove  [configFile] [buildId1 Id2 …]     Remove one or more builds.
   list    [configFile]                      Show builds on a hosting.
+  rollback [configFile] [buildId1 Id2 …]    Point updates.json to the previous
+                                            version stored on a hosting.
+  rollout [configFile] [buildId1 Id2 …] [percent]
+                                            Change the rollout percentage of
+                                            builds in updates.json.
+  promote [configFile] [buildId1 Id2 …] --to [channel]
+                                            Make builds available in another
+                                            channel without re-uploading.
+  prune   [configFile] [buildId1 Id2 …] --keep [N] --keep-days [N]
+                                            Remove old builds, except builds
+                                            referenced by updates.json.
+  verify  [configFile] [buildId1 Id2 …]     Check that files referenced by
+                                            updates.json are available and
+                                            match local files.
+  restore [configFile] [versionId]          Restore a previous version of
+                                            updates.json. Without versionId,
+                                            show versions (S3 only).
 
 BuildId has a following format: [platform]-[arch]-[channel]-v[version]
   You can specify only a part of buildId, like linux-x64, defaults:
@@ -120,6 +178,25 @@ Options:
   --transport-{name} Specify the {name} transport option
   -p or --path       Path to distributive files (default dist).
   -d or --debug      Show debug information
+  --to               Target channel for the promote command
+  --rollout          Publish a build for N percent of users, the previous
+                     version stays in updates.json as a fallback
+  --long             Show files count, size and date of each build in
+                     the list command output
+  --keep             Keep the last N versions of each platform-arch-channel
+                     when pruning
+  --keep-days        Keep builds newer than N days when pruning
+  --concurrency      Upload up to N builds and N files of each build at
+                     the same time (default 1)
+  --dry-run          Show what would be uploaded, removed and changed in
+                     updates.json without doing it
+  --electron-updater Also publish latest.yml, latest-mac.yml and
+                     latest-linux.yml for electron-updater
+  --appcast          Also publish Sparkle appcast.xml for darwin builds
+  --release-notes    Fill notes and readme fields from CHANGELOG.md or git
+                     log: auto (default if no value), changelog or git
+  --mandatory        Mark a build as a mandatory update in updates.json
+  --minimum-version  Clients with a version lower than this must update
   --field-{name}     Set updates.json:{buildId}.{name} field 
   -h or --help       Show this message
 `);
@@ -27,6 +27,35 @@ describe('CLI', () => {
     });
   });
 
+  it('should not take a build id as a flag value', () => {
+    expect(cmd('publish --dry-run win32-x64')).to.deep.equal({
+      command: 'publish',
+      builds: ['win32-x64'],
+      fields: {},
+      transport: {},
+      'dry-run': true
+    });
+
+    expect(cmd('list --long c.json')).to.deep.equal({
+      command: 'list',
+      config: 'c.json',
+      builds: [],
+      fields: {},
+      transport: {},
+      long: true
+    });
+
+    const options = cmd('--appcast --electron-updater --mandatory darwin-x64');
+    expect(options.builds).to.deep.equal(['darwin-x64']);
+    expect(options).to.include({
+      appcast: true,
+      'electron-updater': true,
+      mandatory: true
+    });
+
+    expect(cmd('--mandatory false win32-x64')).to.include({ mandatory: false });
+  });
+
   it('should list builds', () => {
     const options = cmd('list -t github');
     expect(options).to.deep.equal({
@@ -37,6 +66,28 @@ describe('CLI', () => {
     });
   });
 
+  it('should promote a build to another channel', () => {
+    const options = cmd('promote win32-x64-beta-v1.2.3 --to prod');
+    expect(options).to.deep.equal({
+      command: 'promote',
+      builds: ['win32-x64-beta-v1.2.3'],
+      fields: {},
+      transport: {},
+      to: 'prod'
+    });
+  });
+
+  it('should take a rollout percentage from arguments', () => {
+    const options = cmd('rollout win32-x64 50');
+    expect(options).to.deep.equal({
+      command: 'rollout',
+      builds: ['win32-x64'],
+      fields: {},
+      transport: {},
+      rollout: 50
+    });
+  });
+
   it('should replace a single build', () => {
     const options = cmd('replace win32-x64');
     expect(options).to.deep.equal({
@@ -112,6 +163,18 @@ describe('CLI', () => {
     });
   });
 
+  it('should take a version id for the restore command', () => {
+    const options = cmd('restore publisher.json 3HL4kqtJlcpXroDTDmJ');
+    expect(options).to.deep.equal({
+      command: 'restore',
+      config: 'publisher.json',
+      builds: [],
+      fields: {},
+      transport: {},
+      versionId: '3HL4kqtJlcpXroDTDmJ'
+    });
+  });
+
   it('should publish with mixed options order', () => {
     const options = cmd('publish publisher.json -t github win32-x64-prod');
     expect(options).to.deep.equal({
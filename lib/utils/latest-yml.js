@@ -0,0 +1,127 @@
+'use strict';
+
+const { parseBuildId } = require('./build-id');
+
+module.exports.getLatestYmlName = getLatestYmlName;
+module.exports.makeLatestYml = makeLatestYml;
+module.exports.hexToBase64 = hexToBase64;
+
+/**
+ * Return a name of electron-updater update info file for the build, like
+ * latest.yml, latest-arm64.yml, latest-mac.yml, beta-linux-arm64.yml. The
+ * prod channel is called latest in electron-updater. Each windows arch has
+ * its own file, since NsisUpdater takes the first installer from the list.
+ *
+ * @param {object} build
+ * @return {string}
+ */
+function getLatestYmlName(build) {
+  const channel = build.channel === 'prod' ? 'latest' : build.channel;
+
+  switch (build.platform) {
+    case 'darwin': return `${channel}-mac.yml`;
+    case 'linux': {
+      return build.arch === 'x64'
+        ? `${channel}-linux.yml`
+        : `${channel}-linux-${build.arch}.yml`;
+    }
+    default: {
+      return build.arch === 'x64'
+        ? `${channel}.yml`
+        : `${channel}-${build.arch}.yml`;
+    }
+  }
+}
+
+/**
+ * Make electron-updater update info file content for the build. Files are
+ * taken from all updates.json entries of the same version which are
+ * served by the same yml file, e.g. darwin-x64 and darwin-arm64.
+ *
+ * @param {object} build
+ * @param {object} updatesJson
+ * @param {AbstractTransport} transport
+ * @param {Date} [releaseDate]
+ * @return {string}
+ */
+function makeLatestYml(build, updatesJson, transport, releaseDate = new Date()) {
+  const fileName = getLatestYmlName(build);
+
+  const files = Object.keys(updatesJson)
+    .map((key) => {
+      const entry = updatesJson[key];
+      if (!entry || entry.version !== build.version) return null;
+
+      const entryBuild = parseBuildId(`${key}-v${entry.version}`);
+      if (!entryBuild || getLatestYmlName(entryBuild) !== fileName) return null;
+
+      return getFileInfo(entryBuild, entry, transport);
+    })
+    .filter(Boolean);
+
+  if (!files.length) {
+    throw new Error(
+      `Could not find files for ${fileName} in updates.json`
+    );
+  }
+
+  const lines = [
+    `version: ${build.version}`,
+    'files:'
+  ];
+
+  files.forEach((file) => {
+    lines.push(`  - url: ${quote(file.url)}`);
+    lines.push(`    sha512: ${file.sha512}`);
+    lines.push(`    size: ${file.size}`);
+  });
+
+  lines.push(`path: ${quote(files[0].url)}`);
+  lines.push(`sha512: ${files[0].sha512}`);
+  lines.push(`releaseDate: '${releaseDate.toISOString()}'`);
+
+  const entry = updatesJson[transport.getBuildId(build, false)];
+  if (entry && entry.version === build.version && entry.rollout < 100) {
+    lines.push(`stagingPercentage: ${entry.rollout}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * electron-updater downloads an installer on windows and an update file
+ * (zip, AppImage) on other platforms
+ */
+function getFileInfo(build, entry, transport) {
+  const name = build.platform === 'win32' ? 'install' : 'update';
+  const localPath = entry[`${name}-local`];
+  const sha512 = entry[`${name}-sha512`];
+
+  if (!localPath || !sha512) {
+    return null;
+  }
+
+  // -local field is buildId/fileName. It points to the zip on mac, while
+  // update field points to release.json
+  const [buildId, fileName] = localPath.split('/');
+
+  return {
+    url: transport.getFileUrl(fileName, parseBuildId(buildId) || build),
+    sha512: hexToBase64(sha512),
+    size: entry[`${name}-size`]
+  };
+}
+
+/**
+ * updates.json stores hex checksums, electron-updater expects base64
+ *
+ * @param {string} hex
+ * @return {string}
+ */
+function hexToBase64(hex) {
+  return Buffer.from(hex, 'hex').toString('base64');
+}
+
+function quote(value) {
+  return `'${String(value).replace(/'/g, '\'\'')}'`;
+}
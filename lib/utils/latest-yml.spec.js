@@ -0,0 +1,118 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const TestTransport = require('../../spec/test-transport');
+const {
+  getLatestYmlName,
+  hexToBase64,
+  makeLatestYml
+} = require('./latest-yml');
+
+describe('latest.yml', () => {
+  const transport = new TestTransport({
+    transport: { remoteUrl: 'http://example.com' }
+  });
+
+  it('should use electron-updater file names', () => {
+    const names = [
+      { platform: 'win32', arch: 'x64', channel: 'prod' },
+      { platform: 'win32', arch: 'arm64', channel: 'beta' },
+      { platform: 'darwin', arch: 'arm64', channel: 'prod' },
+      { platform: 'linux', arch: 'x64', channel: 'beta' },
+      { platform: 'linux', arch: 'arm64', channel: 'prod' }
+    ].map(getLatestYmlName);
+
+    expect(names).to.deep.equal([
+      'latest.yml',
+      'beta-arm64.yml',
+      'latest-mac.yml',
+      'beta-linux.yml',
+      'latest-linux-arm64.yml'
+    ]);
+  });
+
+  it('should include files of all mac archs of the same version', () => {
+    const updatesJson = {
+      'darwin-x64-prod': {
+        update: 'http://example.com/darwin-x64-prod-v1.0.0/release.json',
+        'update-local': 'darwin-x64-prod-v1.0.0/Example-1.0.0-mac.zip',
+        'update-sha512': 'ff00',
+        'update-size': 10,
+        version: '1.0.0'
+      },
+      'darwin-arm64-prod': {
+        update: 'http://example.com/darwin-arm64-prod-v1.0.0/release.json',
+        'update-local': 'darwin-arm64-prod-v1.0.0/Example-1.0.0-arm64-mac.zip',
+        'update-sha512': '00ff',
+        'update-size': 20,
+        version: '1.0.0'
+      },
+      'darwin-x64-beta': {
+        'update-local': 'darwin-x64-beta-v1.1.0/Example-1.1.0-mac.zip',
+        'update-sha512': 'ffff',
+        'update-size': 30,
+        version: '1.1.0'
+      }
+    };
+    const build = {
+      platform: 'darwin',
+      arch: 'arm64',
+      channel: 'prod',
+      version: '1.0.0'
+    };
+
+    const yml = makeLatestYml(
+      build,
+      updatesJson,
+      transport,
+      new Date('2020-01-01T00:00:00.000Z')
+    );
+
+    expect(yml).to.equal([
+      'version: 1.0.0',
+      'files:',
+      '  - url: \'http://example.com/darwin-x64-prod-v1.0.0/Example-1.0.0-mac.zip\'',
+      `    sha512: ${hexToBase64('ff00')}`,
+      '    size: 10',
+      '  - url: \'http://example.com/darwin-arm64-prod-v1.0.0/Example-1.0.0-arm64-mac.zip\'',
+      `    sha512: ${hexToBase64('00ff')}`,
+      '    size: 20',
+      'path: \'http://example.com/darwin-x64-prod-v1.0.0/Example-1.0.0-mac.zip\'',
+      `sha512: ${hexToBase64('ff00')}`,
+      'releaseDate: \'2020-01-01T00:00:00.000Z\'',
+      ''
+    ].join('\n'));
+  });
+
+  it('should include only the installer of the windows arch', () => {
+    const updatesJson = {
+      'win32-x64-prod': {
+        'install-local': 'win32-x64-prod-v1.0.0/Example-Setup-1.0.0.exe',
+        'install-sha512': 'ff00',
+        version: '1.0.0'
+      },
+      'win32-arm64-prod': {
+        'install-local': 'win32-arm64-prod-v1.0.0/Example-Setup-1.0.0.exe',
+        'install-sha512': '00ff',
+        version: '1.0.0'
+      }
+    };
+    const build = {
+      platform: 'win32',
+      arch: 'arm64',
+      channel: 'prod',
+      version: '1.0.0'
+    };
+
+    const urls = makeLatestYml(build, updatesJson, transport)
+      .match(/url: .+/g);
+    expect(urls).to.deep.equal([
+      'url: \'http://example.com/win32-arm64-prod-v1.0.0/Example-Setup-1.0.0.exe\''
+    ]);
+  });
+
+  it('should convert hex checksums to base64', () => {
+    expect(hexToBase64('48656c6c6f')).to.equal('SGVsbG8=');
+  });
+});
@@ -2,7 +2,12 @@
 
 const path                                  = require('path');
 const fs                                    = require('fs');
+const semver                                = require('semver');
 const { addAssetsInfo, getAvailableBuilds } = require('./add-assets-info');
+const { validateRollout }                   = require('./rollout');
+const { validateConcurrency }               = require('./concurrency');
+const enableDryRun                          = require('../transport/dry-run');
+const enableRetries                         = require('../transport/retry');
 
 module.exports = normalize;
 module.exports.applyPlatformDefaults   = applyPlatformDefaults;
@@ -12,6 +17,8 @@ module.exports.applyConfigJson         = applyConfigJson;
 module.exports.transformBuilds         = transformBuilds;
 module.exports.normalizeBuild          = normalizeBuild;
 module.exports.validateIfRemoveCommand = validateIfRemoveCommand;
+module.exports.validateUpdateFlags     = validateUpdateFlags;
+module.exports.validateRetentionRules  = validateRetentionRules;
 
 const TRANSPORTS = {
   ftp:    '../transport/ftp',
@@ -43,12 +50,19 @@ function normalize(options) {
   options = transformBuilds(options);
 
   validateIfRemoveCommand(options);
+  options = validateUpdateFlags(options);
+  options = validateRetentionRules(options);
 
   if (options.command === 'publish' || options.command === 'replace') {
     options = addAssetsInfoToBuilds(options);
   }
 
   options = initializeTransport(options);
+  enableRetries(options.transport.instance);
+
+  if (options.dryRun) {
+    enableDryRun(options.transport.instance);
+  }
 
   return options;
 }
@@ -117,7 +131,16 @@ function applyDefaults(options) {
     channel: 'prod',
     path: 'dist'
   };
-  return Object.assign(defaults, options);
+  options = Object.assign(defaults, options);
+  options.dryRun = Boolean(options.dryRun || options['dry-run']);
+  options.electronUpdater = Boolean(
+    options.electronUpdater || options['electron-updater']
+  );
+  if (options.rollout !== undefined) {
+    options.rollout = validateRollout(options.rollout);
+  }
+  options.concurrency = validateConcurrency(options.concurrency);
+  return options;
 }
 
 /**
@@ -135,24 +158,12 @@ function transformBuilds(options) {
 
   options.builds = options.builds.map(b => normalizeBuild(b, options));
 
-  if (options.command === 'remove') {
+  if (['remove', 'prune', 'verify'].indexOf(options.command) !== -1) {
     return options;
   }
 
   if (!options.builds.length) {
-    options.builds = [{
-      platform: options.platform,
-      arch: options.arch,
-      channel: options.channel,
-      version: options.version
-    }];
-
-    if (!options.builds[0].version) {
-      throw new Error(
-        'Could not determine a version for build. It seems that you\'ve not ' +
-        'set a version in your package.json'
-      );
-    }
+    options.builds = [normalizeBuild({}, options)];
   }
 
   return options;
@@ -171,8 +182,17 @@ function normalizeBuild(build, options) {
     build = { platform, arch, channel, version };
   }
 
-  if (options.command !== 'remove') {
-    [ 'platform', 'arch', 'channel', 'version' ].forEach((field) => {
+  // remove, prune and verify work with builds which are already on a hosting
+  // as they are specified, rollback and rollout take a version from a hosting
+  const useDefaults = ['remove', 'prune', 'verify'].indexOf(options.command) === -1;
+  const versionRequired = useDefaults &&
+    ['rollback', 'rollout'].indexOf(options.command) === -1;
+
+  if (useDefaults) {
+    const fields = versionRequired
+      ? [ 'platform', 'arch', 'channel', 'version' ]
+      : [ 'platform', 'arch', 'channel' ];
+    fields.forEach((field) => {
       if (!build[field] && options[field]) {
         build[field] = options[field];
       }
@@ -183,7 +203,7 @@ function normalizeBuild(build, options) {
     build.version = build.version.substring(1);
   }
 
-  if (!build.version && options.command !== 'remove') {
+  if (!build.version && versionRequired) {
     throw new Error(
       'Could not determine a version for build. It seems that you\'ve not ' +
       'set a version in your package.json'
@@ -243,6 +263,91 @@ function validateIfRemoveCommand(options) {
   }
 }
 
+/**
+ * Normalize and check mandatory and minimumVersion options which are
+ * written to updates.json entries. minimumVersion can't be greater than
+ * a version of any published build.
+ *
+ * @param {object} options
+ * @return {object}
+ */
+function validateUpdateFlags(options) {
+  const mandatory = options.mandatory;
+  const minimumVersion = options.minimumVersion !== undefined
+    ? options.minimumVersion
+    : options['minimum-version'];
+
+  if (mandatory !== undefined) {
+    if (['true', 'false'].indexOf(mandatory) !== -1) {
+      options.mandatory = mandatory === 'true';
+    } else if (typeof mandatory !== 'boolean') {
+      throw new Error(
+        `mandatory should be true or false, got ${mandatory}`
+      );
+    }
+  }
+
+  if (minimumVersion === undefined) {
+    return options;
+  }
+
+  const version = semver.valid(String(minimumVersion));
+  if (!version) {
+    throw new Error(
+      `minimumVersion should be a valid semver version, got ${minimumVersion}`
+    );
+  }
+
+  const versions = options.builds
+    .map(build => build.version)
+    .concat(options.version)
+    .filter(v => semver.valid(v));
+
+  versions.forEach((buildVersion) => {
+    if (semver.gt(version, buildVersion)) {
+      throw new Error(
+        `minimumVersion ${version} is greater than the published version ` +
+        buildVersion
+      );
+    }
+  });
+
+  options.minimumVersion = version;
+  return options;
+}
+
+/**
+ * Check keep and keepDays options of the prune command. They should be
+ * non-negative integers, so a typo can't make prune remove all builds.
+ *
+ * @param {object} options
+ * @return {object}
+ */
+function validateRetentionRules(options) {
+  const keepDays = options.keepDays !== undefined
+    ? options.keepDays
+    : options['keep-days'];
+  delete options['keep-days'];
+
+  [['keep', options.keep], ['keepDays', keepDays]].forEach(([name, value]) => {
+    if (value === undefined) {
+      return;
+    }
+
+    const number = Number(value);
+    if (typeof value === 'boolean' || value === '' ||
+      !Number.isInteger(number) || number < 0) {
+      throw new Error(
+        `${name} should be a non-negative integer, got ${value}`
+      );
+    }
+
+    options[name] = number;
+  });
+
+  return options;
+}
+
 /**
  * Инициализирует объект транспорта, который будет использоваться для публикации
  *
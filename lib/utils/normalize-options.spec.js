@@ -109,4 +109,39 @@ describe('Options module', () => {
     expect(mod.validateIfRemoveCommand.bind(null, opt2)).to.throw(Error);
   });
 
+  it('should validate mandatory and minimumVersion flags', () => {
+    const builds = [{ platform: 'linux', arch: 'x64', version: '1.2.0' }];
+
+    expect(mod.validateUpdateFlags({
+      builds,
+      version: '1.2.0',
+      mandatory: 'true',
+      'minimum-version': 'v1.1.0'
+    })).to.include({ mandatory: true, minimumVersion: '1.1.0' });
+
+    expect(() => mod.validateUpdateFlags({ builds, mandatory: 'yes' }))
+      .to.throw('mandatory should be true or false, got yes');
+
+    expect(() => mod.validateUpdateFlags({ builds, minimumVersion: 'abc' }))
+      .to.throw('minimumVersion should be a valid semver version, got abc');
+
+    expect(() => mod.validateUpdateFlags({ builds, minimumVersion: '1.3.0' }))
+      .to.throw('minimumVersion 1.3.0 is greater than the published ' +
+        'version 1.2.0');
+  });
+
+  it('should validate retention rules', () => {
+    expect(mod.validateRetentionRules({ keep: '3', 'keep-days': '30' }))
+      .to.deep.equal({ keep: 3, keepDays: 30 });
+
+    expect(() => mod.validateRetentionRules({ keep: 'abc' }))
+      .to.throw('keep should be a non-negative integer, got abc');
+
+    expect(() => mod.validateRetentionRules({ keep: true }))
+      .to.throw('keep should be a non-negative integer, got true');
+
+    expect(() => mod.validateRetentionRules({ 'keep-days': '-1' }))
+      .to.throw('keepDays should be a non-negative integer, got -1');
+  });
+
 });
\ No newline at end of file
@@ -0,0 +1,70 @@
+'use strict';
+
+const line = require('single-line-log').stdout;
+
+/**
+ * Renders a progress bar for each file which is being uploaded. Bars of
+ * finished files are removed, so only current uploads are shown
+ */
+class ProgressRenderer {
+  /**
+   * @param {Function} [write] single-line-log compatible output function
+   */
+  constructor(write = line) {
+    this.write = write;
+    this.files = {};
+  }
+
+  /**
+   * @param {Object} progress
+   * @param {string} progress.name
+   * @param {string} [progress.filePath]
+   * @param {number} progress.transferred
+   * @param {number} progress.total
+   */
+  update(progress) {
+    const key = progress.filePath || progress.name;
+
+    if (progress.transferred >= progress.total) {
+      delete this.files[key];
+    } else {
+      this.files[key] = progress;
+    }
+
+    this.render();
+  }
+
+  render() {
+    const bars = Object.keys(this.files)
+      .map(key => formatBar(this.files[key]));
+    this.write(bars.join(''));
+  }
+}
+
+module.exports = ProgressRenderer;
+module.exports.formatSize = formatSize;
+
+function formatBar(progress) {
+  const value = progress.total ? progress.transferred / progress.total : 1;
+  const percentage = Math.round(value * 100);
+
+  let bar = new Array(Math.floor(50 * value)).join('█');
+  while (bar.length < 49) {
+    bar += '.';
+  }
+
+  const size = formatSize(progress.transferred) +
+    ' / ' + formatSize(progress.total);
+
+  return [
+    `\nUploading ${progress.name}\n`,
+    `[${bar}] ${percentage}% (${size})\n`
+  ].join('');
+}
+
+function formatSize(bytes) {
+  if (bytes === 0) return '0 B';
+  const e = Math.floor(Math.log(bytes) / Math.log(1024));
+  return +(bytes / (Math.pow(1024, e))).toFixed(2) + ' ' +
+    'BKMGTP'.charAt(e).replace('B', '') + 'B';
+}
@@ -0,0 +1,24 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const ProgressRenderer = require('./progress');
+
+describe('ProgressRenderer', () => {
+  it('should render a bar for each unfinished file', () => {
+    const output = [];
+    const progress = new ProgressRenderer(text => output.push(text));
+
+    progress.update({ name: 'a.exe', transferred: 512, total: 1024 });
+    progress.update({ name: 'b.exe', transferred: 0, total: 2048 });
+
+    const last = output[output.length - 1];
+    expect(last).to.contain('Uploading a.exe');
+    expect(last).to.contain('50% (512 B / 1 KB)');
+    expect(last).to.contain('Uploading b.exe');
+
+    progress.update({ name: 'a.exe', transferred: 1024, total: 1024 });
+    expect(output[output.length - 1]).to.not.contain('a.exe');
+    expect(output[output.length - 1]).to.contain('b.exe');
+  });
+});
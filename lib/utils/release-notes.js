@@ -0,0 +1,137 @@
+'use strict';
+
+const childProcess = require('child_process');
+const fs           = require('fs');
+const path         = require('path');
+const semver       = require('semver');
+
+module.exports.addReleaseNotes = addReleaseNotes;
+module.exports.getReleaseNotes = getReleaseNotes;
+module.exports.extractChangelogSection = extractChangelogSection;
+module.exports.getGitNotes = getGitNotes;
+
+/**
+ * Return options for publishing the build with notes and readme fields
+ * filled by release notes. Fields which are set explicitly, for example
+ * by --field-notes, are not overwritten.
+ *
+ * @param {object} build
+ * @param {object} options
+ * @return {object} options
+ */
+function addReleaseNotes(build, options) {
+  const notes = getReleaseNotes(build.version, options);
+  if (!notes) {
+    return options;
+  }
+
+  build.releaseNotes = options.fields.notes || notes;
+
+  return Object.assign({}, options, {
+    fields: Object.assign({ notes, readme: notes }, options.fields)
+  });
+}
+
+/**
+ * Get release notes of the version according to options.releaseNotes:
+ *  changelog    - a section of CHANGELOG.md (options.changelogPath)
+ *  git          - commit subjects since the previous version tag
+ *  true or auto - changelog, then git
+ *
+ * @param {string} version
+ * @param {object} options
+ * @return {string|null}
+ */
+function getReleaseNotes(version, options) {
+  const source = options.releaseNotes !== undefined
+    ? options.releaseNotes
+    : options['release-notes'];
+
+  if (!source) {
+    return null;
+  }
+
+  if (['auto', 'changelog', 'git', true].indexOf(source) === -1) {
+    throw new Error(
+      `releaseNotes should be auto, changelog or git, got ${source}`
+    );
+  }
+
+  let notes = null;
+
+  if (source !== 'git') {
+    const changelogPath = path.resolve(
+      options.changelogPath || options['changelog-path'] || 'CHANGELOG.md'
+    );
+    if (fs.existsSync(changelogPath)) {
+      const content = fs.readFileSync(changelogPath, 'utf8');
+      notes = extractChangelogSection(content, version);
+    }
+  }
+
+  if (!notes && source !== 'changelog') {
+    notes = getGitNotes(version);
+  }
+
+  return notes;
+}
+
+/**
+ * Find a section of the version in a changelog. Headings like
+ * ## [1.2.0] - 2018-01-01, ## 1.2.0 and # [1.2.0](url) (2018-01-01)
+ * are supported
+ *
+ * @param {string} content
+ * @param {string} version
+ * @return {string|null}
+ */
+function extractChangelogSection(content, version) {
+  const lines = content.split(/\r?\n/);
+  let level = 0;
+  const section = [];
+
+  for (const line of lines) {
+    const heading = line.match(/^(#{1,6})\s+\[?v?(\d+\.\d+\.\d+[^\]\s(]*)/);
+
+    if (level) {
+      if (heading && heading[1].length <= level) break;
+      section.push(line);
+    } else if (heading && heading[2] === version) {
+      level = heading[1].length;
+    }
+  }
+
+  const text = section.join('\n').trim();
+  return text || null;
+}
+
+/**
+ * Make a list of commit subjects since the tag of the previous version
+ *
+ * @param {string} version
+ * @param {string} [cwd]
+ * @return {string|null}
+ */
+function getGitNotes(version, cwd = process.cwd()) {
+  const git = args => childProcess.execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+
+  let log;
+  try {
+    const previousTag = git(['tag', '--list'])
+      .split('\n')
+      .map(tag => tag.trim())
+      .filter(tag => semver.valid(tag) && semver.lt(tag, version))
+      .sort(semver.rcompare)[0];
+
+    const range = previousTag ? `${previousTag}..HEAD` : 'HEAD';
+    log = git(['log', '--no-merges', '--pretty=format:- %s', range]);
+  } catch (e) {
+    return null;
+  }
+
+  return log.trim() || null;
+}
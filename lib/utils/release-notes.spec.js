@@ -0,0 +1,70 @@
+'use strict';
+
+const { expect } = require('chai');
+const fs         = require('fs');
+const os         = require('os');
+const path       = require('path');
+
+const {
+  addReleaseNotes,
+  extractChangelogSection
+} = require('./release-notes');
+
+const CHANGELOG = [
+  '# Changelog',
+  '',
+  '## [Unreleased]',
+  '- Work in progress',
+  '',
+  '## [1.2.0] - 2018-01-01',
+  '### Added',
+  '- Dark theme',
+  '',
+  '## 1.1.0',
+  '- Fixed crash',
+  ''
+].join('\n');
+
+describe('Release notes', () => {
+  it('should extract a version section from a changelog', () => {
+    expect(extractChangelogSection(CHANGELOG, '1.2.0'))
+      .to.equal('### Added\n- Dark theme');
+    expect(extractChangelogSection(CHANGELOG, '1.1.0'))
+      .to.equal('- Fixed crash');
+    expect(extractChangelogSection(CHANGELOG, '1.3.0')).to.equal(null);
+  });
+
+  it('should support conventional changelog headings', () => {
+    const content = [
+      '# [2.0.0](https://example.com/compare/v1.0.0...v2.0.0) (2018-01-01)',
+      '',
+      '### Features',
+      '',
+      '* new api',
+      '',
+      '# [1.0.0](https://example.com) (2017-01-01)'
+    ].join('\n');
+
+    expect(extractChangelogSection(content, '2.0.0'))
+      .to.equal('### Features\n\n* new api');
+  });
+
+  it('should not overwrite fields set explicitly', () => {
+    const changelogPath = path.join(os.tmpdir(), 'publisher-changelog.md');
+    fs.writeFileSync(changelogPath, CHANGELOG);
+
+    const build = { version: '1.2.0' };
+    const options = addReleaseNotes(build, {
+      releaseNotes: 'changelog',
+      changelogPath,
+      fields: { readme: 'Custom readme' }
+    });
+    fs.unlinkSync(changelogPath);
+
+    expect(options.fields).to.deep.equal({
+      notes: '### Added\n- Dark theme',
+      readme: 'Custom readme'
+    });
+    expect(build.releaseNotes).to.equal('### Added\n- Dark theme');
+  });
+});
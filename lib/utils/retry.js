@@ -0,0 +1,114 @@
+'use strict';
+
+const MAX_DELAY = 30000;
+
+/**
+ * Error codes of network failures and of throttling by S3
+ */
+const RETRYABLE_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'NetworkingError',
+  'TimeoutError',
+  'RequestTimeout',
+  'Throttling',
+  'ThrottlingException',
+  'RequestLimitExceeded',
+  'TooManyRequestsException',
+  'SlowDown'
+];
+
+module.exports.retry = retry;
+module.exports.isRetryableError = isRetryableError;
+module.exports.getRetryDelay = getRetryDelay;
+
+/**
+ * Call fn until it succeeds or fails with an error which can't be fixed by
+ * a retry
+ *
+ * @param {Function} fn Should return a promise
+ * @param {object} [options]
+ * @param {number} [options.retries=3] How many times fn is called again
+ * @param {number} [options.delay=1000] The first delay, in ms. It's doubled
+ *   on every next retry
+ * @param {Function} [options.isRetryable=isRetryableError]
+ * @param {Function} [options.onRetry] (error, retry, delay) => void
+ * @param {Function} [options.beforeRetry] Called after the delay, can return
+ *   a promise, for example to re-connect
+ * @return {Promise}
+ */
+function retry(fn, options = {}) {
+  const {
+    retries = 3,
+    delay = 1000,
+    isRetryable = isRetryableError,
+    onRetry = () => {},
+    beforeRetry = () => {}
+  } = options;
+
+  function attempt(number) {
+    return Promise.resolve()
+      .then(() => number > 1 ? beforeRetry() : undefined)
+      .then(() => fn())
+      .catch((e) => {
+        if (number > retries || !isRetryable(e)) {
+          throw e;
+        }
+
+        const ms = getRetryDelay(number, delay, e);
+        onRetry(e, number, ms);
+        return wait(ms).then(() => attempt(number + 1));
+      });
+  }
+
+  return attempt(1);
+}
+
+/**
+ * Network failures, 5xx responses and throttling are retryable. Conflicts
+ * of updates.json are handled by updateUpdatesJson, so they are not
+ *
+ * @param {Error} error
+ * @return {boolean}
+ */
+function isRetryableError(error) {
+  if (!error || error.conflict) {
+    return false;
+  }
+
+  // Set by aws-sdk and by the GitHub api client
+  if (error.retryable === true) {
+    return true;
+  }
+
+  if (RETRYABLE_CODES.indexOf(error.code) !== -1) {
+    return true;
+  }
+
+  const status = error.statusCode;
+  return status >= 500 || status === 429;
+}
+
+/**
+ * @param {number} number The number of the failed attempt, from 1
+ * @param {number} delay The first delay, ms
+ * @param {Error} [error] Retry-After of the error takes precedence
+ * @return {number}
+ */
+function getRetryDelay(number, delay, error) {
+  if (error && error.retryAfter > 0) {
+    return Math.min(error.retryAfter * 1000, MAX_DELAY * 2);
+  }
+  return Math.min(delay * Math.pow(2, number - 1), MAX_DELAY);
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
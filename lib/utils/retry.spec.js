@@ -0,0 +1,31 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const { isRetryableError, getRetryDelay } = require('./retry');
+
+describe('Retry', () => {
+  it('should detect transient errors', () => {
+    expect(isRetryableError(withProps({ code: 'ECONNRESET' }))).to.be.true;
+    expect(isRetryableError(withProps({ code: 'SlowDown' }))).to.be.true;
+    expect(isRetryableError(withProps({ statusCode: 502 }))).to.be.true;
+    expect(isRetryableError(withProps({ retryable: true }))).to.be.true;
+
+    expect(isRetryableError(withProps({ statusCode: 404 }))).to.be.false;
+    expect(isRetryableError(withProps({ code: 'AccessDenied' }))).to.be.false;
+    expect(isRetryableError(withProps({ conflict: true, statusCode: 503 })))
+      .to.be.false;
+  });
+
+  it('should double a delay up to 30 seconds', () => {
+    expect(getRetryDelay(1, 1000)).to.equal(1000);
+    expect(getRetryDelay(3, 1000)).to.equal(4000);
+    expect(getRetryDelay(10, 1000)).to.equal(30000);
+    expect(getRetryDelay(1, 1000, withProps({ retryAfter: 5 })))
+      .to.equal(5000);
+  });
+});
+
+function withProps(props) {
+  return Object.assign(new Error('Failed'), props);
+}
@@ -0,0 +1,68 @@
+'use strict';
+
+module.exports.addRolloutFallback = addRolloutFallback;
+module.exports.isPartialRollout = isPartialRollout;
+module.exports.validateRollout = validateRollout;
+
+/**
+ * While a build is rolled out partially, its updates.json entry keeps
+ * the previous version in the previous field, so clients which are not in
+ * the rollout percentage stay on it.
+ *
+ * @param {object} data New updates.json entry
+ * @param {object} [current] Current updates.json entry
+ * @return {object} data
+ */
+function addRolloutFallback(data, current) {
+  if (!isPartialRollout(data)) {
+    delete data.previous;
+    return data;
+  }
+
+  if (data.previous || !current) {
+    return data;
+  }
+
+  if (current.version === data.version) {
+    // Re-publishing the same version, keep its fallback
+    if (current.previous) {
+      data.previous = current.previous;
+    }
+    return data;
+  }
+
+  // Rolling out a version while the previous is still rolling out, so
+  // fall back to what the previous is rolled out over
+  const previous = isPartialRollout(current) && current.previous
+    ? current.previous
+    : current;
+
+  data.previous = Object.assign({}, previous);
+  delete data.previous.previous;
+  delete data.previous.rollout;
+  return data;
+}
+
+/**
+ * @param {object} [entry] updates.json entry
+ * @return {boolean}
+ */
+function isPartialRollout(entry) {
+  return Boolean(entry) && entry.rollout !== undefined && entry.rollout < 100;
+}
+
+/**
+ * @param {*} value Rollout percentage
+ * @return {number}
+ */
+function validateRollout(value) {
+  const percent = Number(value);
+  if (value === true || value === '' || isNaN(percent) ||
+    percent < 0 || percent > 100) {
+    throw new Error(
+      `Rollout should be a percentage from 0 to 100, got ${value}`
+    );
+  }
+
+  return percent;
+}
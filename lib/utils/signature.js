@@ -0,0 +1,133 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs     = require('fs');
+
+module.exports.getSigningOptions = getSigningOptions;
+module.exports.sign = sign;
+module.exports.verify = verify;
+module.exports.serializeUpdatesJson = serializeUpdatesJson;
+module.exports.verifyUpdatesJson = verifyUpdatesJson;
+
+/**
+ * Normalize options.sign
+ *
+ * @param {object} options
+ * @param {object} [options.sign]
+ * @param {string} [options.sign.privateKey] PEM encoded Ed25519 key
+ * @param {string} [options.sign.privateKeyPath]
+ * @param {boolean} [options.sign.embed=false] Save the signature as
+ *   updates.json:signature field instead of updates.json.sig file
+ * @return {{privateKey: KeyObject, embed: boolean}|null}
+ */
+function getSigningOptions(options) {
+  const sign = options.sign;
+  if (!sign) {
+    return null;
+  }
+
+  if (typeof crypto.sign !== 'function') {
+    throw new Error('Signing of updates.json requires Node.js 12 or later');
+  }
+
+  let pem = sign.privateKey;
+  if (!pem && sign.privateKeyPath) {
+    pem = fs.readFileSync(sign.privateKeyPath, 'utf8');
+  }
+
+  if (!pem) {
+    throw new Error(
+      'You should set sign.privateKey or sign.privateKeyPath option to sign ' +
+      'updates.json'
+    );
+  }
+
+  const privateKey = crypto.createPrivateKey(pem);
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error(
+      `sign.privateKey should be an Ed25519 key, ` +
+      `not ${privateKey.asymmetricKeyType}`
+    );
+  }
+
+  return {
+    privateKey,
+    embed: Boolean(sign.embed)
+  };
+}
+
+/**
+ * @param {string} content
+ * @param {KeyObject|string} privateKey
+ * @return {string} base64 encoded signature
+ */
+function sign(content, privateKey) {
+  return crypto.sign(null, Buffer.from(content, 'utf8'), privateKey)
+    .toString('base64');
+}
+
+/**
+ * @param {string} content
+ * @param {string} signature base64 encoded signature
+ * @param {KeyObject|string} publicKey
+ * @return {boolean}
+ */
+function verify(content, signature, publicKey) {
+  return crypto.verify(
+    null,
+    Buffer.from(content, 'utf8'),
+    publicKey,
+    Buffer.from(signature, 'base64')
+  );
+}
+
+/**
+ * Convert updates.json data to a string. If signing is enabled with embed
+ * option, the signature of the content is added as the last field
+ *
+ * @param {object} data
+ * @param {{privateKey: KeyObject, embed: boolean}|null} signing
+ * @return {string}
+ */
+function serializeUpdatesJson(data, signing = null) {
+  data = Object.assign({}, data);
+  delete data.signature;
+
+  const content = JSON.stringify(data, null, '  ');
+  if (!signing || !signing.embed) {
+    return content;
+  }
+
+  data.signature = sign(content, signing.privateKey);
+  return JSON.stringify(data, null, '  ');
+}
+
+/**
+ * Check a signature of updates.json content
+ *
+ * @param {string} content updates.json content as it's stored on a hosting
+ * @param {KeyObject|string} publicKey
+ * @param {string} [signature] content of updates.json.sig. If not set,
+ *   updates.json:signature field is checked
+ * @return {boolean}
+ */
+function verifyUpdatesJson(content, publicKey, signature) {
+  if (signature) {
+    return verify(content, signature.trim(), publicKey);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (e) {
+    return false;
+  }
+
+  if (!data || typeof data.signature !== 'string') {
+    return false;
+  }
+
+  signature = data.signature;
+  delete data.signature;
+  return verify(JSON.stringify(data, null, '  '), signature, publicKey);
+}
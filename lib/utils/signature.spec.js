@@ -0,0 +1,55 @@
+'use strict';
+
+const { expect } = require('chai');
+const crypto     = require('crypto');
+
+const signature     = require('./signature');
+const TestTransport = require('../../spec/test-transport');
+
+describe('updates.json signature', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  const privatePem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+  const data = { 'win32-x64-prod': { version: '1.0.0' } };
+
+  it('should embed a signature into updates.json', () => {
+    const signing = signature.getSigningOptions({
+      sign: { privateKey: privatePem, embed: true }
+    });
+    const content = signature.serializeUpdatesJson(data, signing);
+
+    expect(JSON.parse(content).signature).to.be.a('string');
+    expect(signature.verifyUpdatesJson(content, publicKey)).to.be.true;
+
+    const tampered = content.replace('1.0.0', '6.6.6');
+    expect(signature.verifyUpdatesJson(tampered, publicKey)).to.be.false;
+  });
+
+  it('should push a detached signature as updates.json.sig', () => {
+    const transport = new TestTransport({
+      transport: {},
+      updatesJsonUrl: 'http://example.com/updates.json',
+      sign: { privateKey: privatePem }
+    });
+    const build = { platform: 'linux', arch: 'x64', channel: 'prod' };
+
+    return transport.updateUpdatesJson(build, { version: '1.0.0' })
+      .then(() => {
+        const content = transport.serializeUpdatesJson(
+          transport.updatePushes[0]
+        );
+        const sig = transport.rootFiles['updates.json.sig'];
+
+        expect(JSON.parse(content).signature).to.be.undefined;
+        expect(signature.verifyUpdatesJson(content, publicKey, sig))
+          .to.be.true;
+      });
+  });
+
+  it('should accept only Ed25519 keys', () => {
+    const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+    const pem = rsa.privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+    expect(() => signature.getSigningOptions({ sign: { privateKey: pem } }))
+      .to.throw('Ed25519');
+  });
+});
@@ -0,0 +1,241 @@
+'use strict';
+
+/**
+ * Tracks all artifacts created on a hosting while publishing a build and
+ * allows to revert them if the publishing fails
+ */
+class Transaction {
+  /**
+   * @param {object} build
+   * @param {AbstractTransport} transport
+   */
+  constructor(build, transport) {
+    this.build = build;
+    this.transport = transport;
+
+    this.uploadedFiles = [];
+    this.releaseArchive = null;
+    this.updatesJsonChanged = false;
+    this.previousEntry = undefined;
+
+    /**
+     * updates.json which has been pushed by this transaction
+     * @type {object|undefined}
+     */
+    this.updatesJson = undefined;
+
+    /**
+     * A function which pushes files made from updates.json, like latest.yml
+     * @type {Function|null}
+     */
+    this.rootFilesPublisher = null;
+
+    /**
+     * Whether the build directory existed on a hosting before the first
+     * upload. Such a build isn't removed on rollback, because it contains
+     * files which weren't uploaded by this transaction
+     * @type {Promise<boolean>|null}
+     */
+    this.buildExisted = null;
+
+    /**
+     * A transport which records all changes made through it. It's inherited
+     * from the original transport, so the original instance isn't touched
+     * @type {AbstractTransport}
+     */
+    this.trackedTransport = this.createTrackedTransport();
+  }
+
+  createTrackedTransport() {
+    const transaction = this;
+    const transport = this.transport;
+    const tracked = Object.create(transport);
+
+    tracked.uploadFile = function(filePath, build) {
+      return transaction.checkBuildExisted()
+        .then(() => transport.uploadFile.call(this, filePath, build))
+        .then((url) => {
+          transaction.uploadedFiles.push(url || filePath);
+          return url;
+        });
+    };
+
+    // The entry is saved from updates.json which is read under the lock,
+    // right before it's modified
+    tracked.modifyUpdatesJson = function(modify) {
+      const buildId = this.getBuildId(transaction.build, false);
+      return transport.modifyUpdatesJson.call(this, (json) => {
+        if (!transaction.updatesJsonChanged) {
+          transaction.previousEntry = json[buildId];
+        }
+        return modify(json);
+      });
+    };
+
+    // updates.json is changed even if its signature isn't pushed after that
+    tracked.pushUpdatesJson = function(data, revision) {
+      return transport.pushUpdatesJson.call(this, data, revision)
+        .then((url) => {
+          transaction.updatesJsonChanged = true;
+          transaction.updatesJson = data;
+          return url;
+        });
+    };
+
+    tracked.uploadReleaseArchive = function(filePath) {
+      return Promise.resolve()
+        .then(() => transport.uploadReleaseArchive.call(this, filePath))
+        .then((result) => {
+          transaction.releaseArchive = filePath;
+          return result;
+        });
+    };
+
+    return tracked;
+  }
+
+  /**
+   * Check once whether the build is already on a hosting. If the list of
+   * builds can't be fetched, the build is treated as existing, so nothing
+   * is removed by mistake
+   * @return {Promise<boolean>}
+   */
+  checkBuildExisted() {
+    if (!this.buildExisted) {
+      const buildId = this.transport.getBuildId(this.build);
+      this.buildExisted = Promise.resolve()
+        .then(() => this.transport.fetchBuildsList())
+        .then(ids => ids.indexOf(buildId) !== -1, () => true);
+    }
+    return this.buildExisted;
+  }
+
+  /**
+   * Push files which are made from updates.json, like latest.yml. They are
+   * made from updates.json pushed by this transaction, not from the one on
+   * a hosting which can be already changed by another publisher. If
+   * publishing fails, the function is called again after updates.json is
+   * restored, so these files match it
+   * @param {Function} publisher (transport, [updatesJson]) => Promise of
+   *  names of pushed files
+   * @return {Promise<Array<string>>}
+   */
+  publishRootFiles(publisher) {
+    this.rootFilesPublisher = publisher;
+    return publisher(this.trackedTransport, this.updatesJson);
+  }
+
+  /**
+   * Write the saved entry back as it was. updateUpdatesJson isn't used,
+   * because it would add the failed entry as a rollout fallback
+   * @return {Promise}
+   */
+  restoreUpdatesJsonEntry() {
+    const build = this.build;
+    const buildId = this.transport.getBuildId(build, false);
+    const previousEntry = this.previousEntry;
+
+    return this.transport.modifyUpdatesJson((json) => {
+      if (previousEntry) {
+        json[buildId] = previousEntry;
+      } else if (json[buildId] && json[buildId].version === build.version) {
+        delete json[buildId];
+      }
+      return json;
+    });
+  }
+
+  /**
+   * Revert all tracked changes and reject with an error which contains
+   * the original error message and a report about the rollback
+   * @param {Error} error
+   * @return {Promise}
+   */
+  rollback(error) {
+    const transport = this.transport;
+    const build = this.build;
+    const buildId = transport.getBuildId(build);
+    const done = [];
+    const failed = [];
+
+    let promise = Promise.resolve();
+
+    if (this.updatesJsonChanged) {
+      promise = promise
+        .then(() => this.restoreUpdatesJsonEntry())
+        .then(() => {
+          done.push(this.previousEntry
+            ? `restored updates.json:${transport.getBuildId(build, false)} ` +
+              `to version ${this.previousEntry.version}`
+            : `removed updates.json:${transport.getBuildId(build, false)}`
+          );
+        })
+        .catch(e => failed.push(`updates.json: ${e.message || e}`));
+    }
+
+    if (this.releaseArchive) {
+      promise = promise
+        .then(() => transport.removeReleaseArchive(this.releaseArchive))
+        .then(() => done.push(`removed release archive ${this.releaseArchive}`))
+        .catch(e => failed.push(`${this.releaseArchive}: ${e.message || e}`));
+    }
+
+    if (this.uploadedFiles.length) {
+      promise = promise
+        .then(() => this.checkBuildExisted())
+        .then((existed) => {
+          if (existed) {
+            throw new Error(
+              'it existed before publishing, so uploaded files are kept:\n' +
+              this.uploadedFiles.map(f => `     ${f}`).join('\n')
+            );
+          }
+          return transport.removeBuild(build);
+        })
+        .then(() => {
+          done.push(
+            `removed build ${buildId}:\n` +
+            this.uploadedFiles.map(f => `     ${f}`).join('\n')
+          );
+        })
+        .catch(e => failed.push(`build ${buildId}: ${e.message || e}`));
+    }
+
+    if (this.rootFilesPublisher) {
+      promise = promise
+        .then(() => this.rootFilesPublisher(transport))
+        .then((fileNames) => {
+          if (fileNames.length) {
+            done.push(`regenerated ${fileNames.join(', ')}`);
+          }
+        })
+        .catch((e) => {
+          failed.push(`files made from updates.json: ${e.message || e}`);
+        });
+    }
+
+    return promise.then(() => {
+      const lines = [
+        `Publishing ${buildId} failed: ${error && error.message || error}`
+      ];
+
+      if (done.length) {
+        lines.push('Rolled back:');
+        done.forEach(line => lines.push(`  - ${line}`));
+      } else if (!failed.length) {
+        lines.push('Nothing has been changed on the hosting.');
+      }
+
+      if (failed.length) {
+        lines.push('Could not roll back:');
+        failed.forEach(line => lines.push(`  - ${line}`));
+      }
+
+      const rollbackError = new Error(lines.join('\n'));
+      rollbackError.originalError = error;
+      throw rollbackError;
+    });
+  }
+}
+
+module.exports = Transaction;
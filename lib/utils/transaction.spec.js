@@ -0,0 +1,226 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const publish       = require('../commands/publish');
+const TestTransport = require('../../spec/test-transport');
+
+describe('Publish transaction', () => {
+  it('should roll back uploaded files and updates.json on failure', () => {
+    const options = getOptions();
+    const transport = new TestTransport(options);
+    transport.afterUpload = () => Promise.reject(new Error('Command failed'));
+    options.transport.instance = transport;
+
+    return publish(getBuild(), options)
+      .then(() => {
+        throw new Error('Publishing should fail');
+      }, (e) => {
+        expect(e.message).to.contain(
+          'Publishing win32-x64-prod-v1.0.0 failed: Command failed'
+        );
+        expect(e.message).to.contain(
+          'restored updates.json:win32-x64-prod to version 0.0.1'
+        );
+        expect(e.message).to.contain('removed build win32-x64-prod-v1.0.0');
+        expect(e.originalError.message).to.equal('Command failed');
+
+        expect(transport.removes).to.have.lengthOf(1);
+        expect(transport.updatePushes).to.have.lengthOf(2);
+        expect(transport.updatePushes[1]['win32-x64-prod'].version)
+          .to.equal('0.0.1');
+      });
+  });
+
+  it('should not remove a build which existed before publishing', () => {
+    const options = getOptions();
+    const transport = new TestTransport(options);
+    transport.afterUpload = () => Promise.reject(new Error('Command failed'));
+    transport.fetchBuildsList = () => {
+      return Promise.resolve(['win32-x64-prod-v1.0.0']);
+    };
+    options.transport.instance = transport;
+
+    return publish(getBuild(), options)
+      .then(() => {
+        throw new Error('Publishing should fail');
+      }, (e) => {
+        expect(e.message).to.contain(
+          'restored updates.json:win32-x64-prod to version 0.0.1'
+        );
+        expect(e.message).to.contain(
+          'build win32-x64-prod-v1.0.0: it existed before publishing'
+        );
+        expect(transport.removes).to.be.empty;
+      });
+  });
+
+  it('should restore a partially rolled out entry as it was', () => {
+    const options = getOptions();
+    const transport = new TestTransport(options);
+    const entry = { version: '0.0.1', rollout: 20 };
+    let json = { 'win32-x64-prod': entry };
+    transport.fetchUpdatesJson = () => Promise.resolve(json);
+    transport.pushUpdatesJson = (data) => {
+      json = JSON.parse(JSON.stringify(data));
+      transport.updatePushes.push(json);
+      return Promise.resolve('http://example.com/updates.json');
+    };
+    transport.afterUpload = () => Promise.reject(new Error('Command failed'));
+    options.transport.instance = transport;
+
+    return publish(getBuild(), options)
+      .then(() => {
+        throw new Error('Publishing should fail');
+      }, () => {
+        expect(transport.updatePushes[1]['win32-x64-prod'])
+          .to.deep.equal(entry);
+      });
+  });
+
+  it('should roll back updates.json if its signature is not pushed', () => {
+    const options = getOptions();
+    const transport = new TestTransport(options);
+    let signatures = 0;
+    transport.pushUpdatesJsonSignature = () => {
+      signatures++;
+      return signatures === 1
+        ? Promise.reject(new Error('Signing failed'))
+        : Promise.resolve();
+    };
+    options.transport.instance = transport;
+
+    return publish(getBuild(), options)
+      .then(() => {
+        throw new Error('Publishing should fail');
+      }, (e) => {
+        expect(e.message).to.contain(
+          'restored updates.json:win32-x64-prod to version 0.0.1'
+        );
+        expect(transport.updatePushes).to.have.lengthOf(2);
+      });
+  });
+
+  it('should make latest.yml from the pushed updates.json', () => {
+    const options = Object.assign(getOptions(), { electronUpdater: true });
+    options.transport.remoteUrl = 'http://example.com';
+    const transport = new TestTransport(options);
+    options.transport.instance = transport;
+
+    // TestTransport.fetchUpdatesJson always returns v0.0.1, like updates.json
+    // which has been changed by another publisher
+    return publish(getBuild(), options)
+      .then(() => {
+        expect(transport.rootFiles['latest.yml'])
+          .to.contain('version: 1.0.0');
+      });
+  });
+
+  it('should regenerate latest.yml on rollback', () => {
+    const options = Object.assign(getOptions(), { electronUpdater: true });
+    options.transport.remoteUrl = 'http://example.com';
+    const transport = new TestTransport(options);
+    let json = {
+      'win32-x64-prod': {
+        'install-local': 'win32-x64-prod-v0.0.1/Test Setup 0.0.1.exe',
+        'install-sha512': 'abcd',
+        'install-size': 100,
+        version: '0.0.1'
+      }
+    };
+    transport.fetchUpdatesJson = () => Promise.resolve(json);
+    transport.pushUpdatesJson = (data) => {
+      json = data;
+      return Promise.resolve('http://example.com/updates.json');
+    };
+    transport.afterUpload = () => {
+      expect(transport.rootFiles['latest.yml']).to.contain('version: 1.0.0');
+      return Promise.reject(new Error('Command failed'));
+    };
+    options.transport.instance = transport;
+
+    return publish(getBuild(), options)
+      .then(() => {
+        throw new Error('Publishing should fail');
+      }, (e) => {
+        expect(e.message).to.contain('regenerated latest.yml');
+        expect(transport.rootFiles['latest.yml'])
+          .to.contain('version: 0.0.1');
+      });
+  });
+
+  it('should regenerate appcast.xml on rollback', () => {
+    const options = Object.assign(getOptions(), { appcast: true });
+    options.transport.remoteUrl = 'http://example.com';
+    const transport = new TestTransport(options);
+    let json = {};
+    transport.fetchUpdatesJson = () => Promise.resolve(json);
+    transport.pushUpdatesJson = (data) => {
+      json = data;
+      return Promise.resolve('http://example.com/updates.json');
+    };
+    transport.fetchBuildsInfo = () => Promise.resolve([]);
+    transport.afterUpload = () => {
+      expect(transport.rootFiles['appcast.xml']).to.contain('1.0.0');
+      return Promise.reject(new Error('Command failed'));
+    };
+    options.transport.instance = transport;
+
+    const build = {
+      platform: 'darwin',
+      arch: 'x64',
+      channel: 'prod',
+      version: '1.0.0',
+      assets: {
+        update: '/tmp/dist/mac/test-1.0.0-mac.zip',
+        install: '/tmp/dist/mac/test-1.0.0.dmg'
+      }
+    };
+
+    return publish(build, options)
+      .then(() => {
+        throw new Error('Publishing should fail');
+      }, (e) => {
+        expect(e.message).to.contain('regenerated appcast.xml');
+        expect(transport.rootFiles['appcast.xml']).to.not.contain('1.0.0');
+      });
+  });
+
+  it('should not touch a hosting if nothing is changed', () => {
+    const options = getOptions();
+    const transport = new TestTransport(options);
+    transport.beforeUpload = () => Promise.reject(new Error('Not ready'));
+    options.transport.instance = transport;
+
+    return publish(getBuild(), options)
+      .then(() => {
+        throw new Error('Publishing should fail');
+      }, (e) => {
+        expect(e.message).to.contain('Nothing has been changed');
+        expect(transport.removes).to.be.empty;
+        expect(transport.updatePushes).to.be.empty;
+      });
+  });
+});
+
+function getOptions() {
+  return {
+    transport: {},
+    fields: {},
+    updatesJsonUrl: 'http://example.com/updates.json'
+  };
+}
+
+function getBuild() {
+  return {
+    platform: 'win32',
+    arch: 'x64',
+    channel: 'prod',
+    version: '1.0.0',
+    assets: {
+      update: '/tmp/dist/win/test-1.0.0-full.nupkg',
+      install: '/tmp/dist/win/Test Setup 1.0.0.exe',
+      metaFile: '/tmp/dist/win/RELEASES'
+    }
+  };
+}
@@ -0,0 +1,77 @@
+'use strict';
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+/**
+ * Stores the state of unfinished uploads in a local json file, so an
+ * upload can be resumed by the next run
+ */
+class UploadState {
+  /**
+   * @param {string} [filePath]
+   */
+  constructor(filePath) {
+    this.filePath = filePath || path.join(
+      os.tmpdir(),
+      'electron-simple-publisher',
+      'multipart-uploads.json'
+    );
+  }
+
+  /**
+   * @param {string} key
+   * @return {object|undefined}
+   */
+  get(key) {
+    return this.read()[key];
+  }
+
+  /**
+   * @param {string} key
+   * @param {object} value
+   */
+  set(key, value) {
+    const data = this.read();
+    data[key] = value;
+    this.write(data);
+  }
+
+  /**
+   * @param {string} key
+   */
+  delete(key) {
+    const data = this.read();
+    if (data[key] === undefined) {
+      return;
+    }
+    delete data[key];
+    this.write(data);
+  }
+
+  /**
+   * @return {object}
+   * @private
+   */
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Read and write are synchronous, so parallel uploads of the same process
+   * don't overwrite each other's changes
+   * @param {object} data
+   * @private
+   */
+  write(data) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(data, null, '  '));
+  }
+}
+
+module.exports = UploadState;
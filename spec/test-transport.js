@@ -10,6 +10,7 @@ class TestTransport extends AbstractTransport {
     this.uploadFiles = [];
     this.updateFetches = 0;
     this.updatePushes = [];
+    this.rootFiles = {};
     this.removes = [];
     this.listFetches = 0;
   }
@@ -29,6 +30,19 @@ class TestTransport extends AbstractTransport {
     });
   }
 
+  /**
+   * Files in tests don't exist, so return fake checksums
+   * @param {string} filePath
+   * @return {Promise<object>}
+   */
+  getFileChecksums(filePath) {
+    return Promise.resolve({
+      sha256: 'sha256:' + path.basename(filePath),
+      sha512: 'sha512:' + path.basename(filePath),
+      size: filePath.length
+    });
+  }
+
   /**
    * Get updates.json content from hosting
    * @abstract
@@ -63,6 +77,15 @@ class TestTransport extends AbstractTransport {
     });
   }
 
+  /**
+   * @abstract
+   * @return {Promise}
+   */
+  pushRootFile(fileName, content) {
+    this.rootFiles[fileName] = content;
+    return Promise.resolve();
+  }
+
   /**
    * @abstract
    * @return {Promise}
@@ -87,6 +110,18 @@ class TestTransport extends AbstractTransport {
       ]);
     });
   }
+
+  /**
+   * @abstract
+   * @return {Promise<Array<string>>}
+   */
+  fetchBuildFiles(build) {
+    return Promise.resolve([
+      'RELEASES',
+      `Example-Setup-${build.version}.exe`,
+      `example-${build.version}-full.nupkg`
+    ]);
+  }
 }
 
 module.exports = TestTransport;
\ No newline at end of file